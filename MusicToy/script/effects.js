@@ -8,17 +8,17 @@ function Overdrive() {
     /**
      Input gain
      */
-    this.gain = 1;
+    new SynthParam(this, 'gain', 1);
 
     /**
      Clipping threshold
      */
-    this.threshold = 0.7;
+    new SynthParam(this, 'threshold', 0.7);
 
     /**
      Clipping factor (ratio is 1 / factor)
      */
-    this.factor = 1;
+    new SynthParam(this, 'factor', 1);
 
     // Sound Input
     new SynthInput(this, 'input');
@@ -28,6 +28,32 @@ function Overdrive() {
 }
 Overdrive.prototype = new SynthNode();
 
+/**
+ Get a JSON representation of the node
+ */
+Overdrive.prototype.toJSON = function () {
+    return {
+        type: 'overdrive',
+        name: this.name,
+        gain: this.gain.value,
+        threshold: this.threshold.value,
+        factor: this.factor.value
+    };
+};
+
+/**
+ Create an overdrive effect from its JSON representation
+ */
+Overdrive.fromJSON = function (obj) {
+    var node = new Overdrive();
+
+    node.gain.value = obj.gain;
+    node.threshold.value = obj.threshold;
+    node.factor.value = obj.factor;
+
+    return node;
+};
+
 /**
  Update the outputs based on the inputs
  */
@@ -42,18 +68,21 @@ Overdrive.prototype.update = function (time, sampleRate) {
     // Get the output buffer
     var outBuf = this.output.getBuffer();
 
-    var f = 1 / this.factor;
+    // Get the parameter values
+    var gainBuf = this.gain.values;
+    var threshBuf = this.threshold.values;
+    var factorBuf = this.factor.values;
 
     // For each sample
     for (var i = 0; i < inBuf.length; ++i) {
-        var s = inBuf[i] * this.gain;
+        var s = inBuf[i] * gainBuf[i];
 
         var absS = Math.abs(s);
 
-        var d = absS - this.threshold;
+        var d = absS - threshBuf[i];
 
         if (d > 0) {
-            absS = (absS - d) + (f * d);
+            absS = (absS - d) + (d / factorBuf[i]);
 
             s = (s > 0) ? absS : -absS;
         }
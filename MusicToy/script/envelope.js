@@ -1,5 +1,82 @@
+/**
+ @class Base class for envelopes. Envelopes are evaluated from the note-on
+ and note-off times, so that they need no state of their own and can be
+ shared by all the notes of an instrument.
+ */
+function Envelope() {
+}
+
+/**
+ Get the envelope value at a given time
+ @param curTime time to evaluate the envelope at
+ @param onTime time of the note-on
+ @param offTime time of the note-off, 0 while the note is on
+ @param onAmp envelope value at note-on time, the starting value
+ @param offAmp envelope value at note-off time, where the release starts
+ @param attackScale optional factor scaling the attack time, 1 by default
+ */
+Envelope.prototype.getValue = function (curTime, onTime, offTime, onAmp, offAmp, attackScale) {
+    error('envelope does not implement getValue');
+};
+
+/**
+ Test if the envelope has gone through all its stages at a given
+ time, its value no longer changing unless the note is released
+ */
+Envelope.prototype.isDone = function (curTime, onTime, offTime, attackScale) {
+    error('envelope does not implement isDone');
+};
+
+/**
+ Get the duration of the release, from the note-off until the envelope
+ is done, which may be infinite
+ */
+Envelope.prototype.getReleaseTime = function () {
+    error('envelope does not implement getReleaseTime');
+};
+
+/**
+ Interpolate along a curve segment. The curve exponent shapes the
+ segment, 1 being linear.
+ @param x position along the segment, from 0 to 1
+ */
+Envelope.interp = function (x, yL, yR, exp) {
+    // If the curve is increasing
+    if (yR > yL) {
+        return yL + Math.pow(x, exp) * (yR - yL);
+    }
+    else {
+        return yR + Math.pow(1 - x, exp) * (yL - yR);
+    }
+};
+
+/**
+ Create an envelope from its JSON representation
+ */
+Envelope.fromJSON = function (obj) {
+    switch (obj.type) {
+        case 'adsr':
+            return ADSREnv.fromJSON(obj);
+
+        case 'breakpoint':
+            return BreakpointEnv.fromJSON(obj);
+
+        default:
+            error('invalid envelope type: ' + obj.type);
+    }
+};
+
+/**
+ Convert an envelope time for JSON, which has no representation for
+ infinite values. Infinite times are stored as strings.
+ */
+Envelope.timeToJSON = function (t) {
+    return isFinite(t) ? t : String(t);
+};
+
 /**
  @class Attack-Decay-Sustain-Release envelope implementation
+ @extends Envelope
  */
 function ADSREnv(a, d, s, r) {
     /**
@@ -37,31 +114,60 @@ function ADSREnv(a, d, s, r) {
      */
     this.rExp = 2;
 }
+ADSREnv.prototype = new Envelope();
+
+/**
+ Get a JSON representation of the envelope. Infinite times are
+ stored as strings, since JSON has no representation for them.
+ */
+ADSREnv.prototype.toJSON = function () {
+    var time = Envelope.timeToJSON;
+
+    return {
+        type: 'adsr',
+        a: time(this.a),
+        d: time(this.d),
+        s: this.s,
+        r: time(this.r),
+        aExp: this.aExp,
+        dExp: this.dExp,
+        rExp: this.rExp
+    };
+};
+
+/**
+ Create an envelope from its JSON representation
+ */
+ADSREnv.fromJSON = function (obj) {
+    var env = new ADSREnv(
+        Number(obj.a),
+        Number(obj.d),
+        obj.s,
+        Number(obj.r)
+    );
+
+    env.aExp = obj.aExp;
+    env.dExp = obj.dExp;
+    env.rExp = obj.rExp;
+
+    return env;
+};
 
 /**
  Get the envelope value at a given time
  */
-ADSREnv.prototype.getValue = function (curTime, onTime, offTime, onAmp, offAmp) {
-    // Interpolation function:
-    // x ranges from 0 to 1
-    function interp(x, yL, yR, exp) {
-        // If the curve is increasing
-        if (yR > yL) {
-            return yL + Math.pow(x, exp) * (yR - yL);
-        }
-        else {
-            return yR + Math.pow(1 - x, exp) * (yL - yR);
-        }
-    }
+ADSREnv.prototype.getValue = function (curTime, onTime, offTime, onAmp, offAmp, attackScale) {
+    var interp = Envelope.interp;
 
     if (offTime === 0) {
         var noteTime = curTime - onTime;
+        var a = (attackScale !== undefined) ? this.a * attackScale : this.a;
 
-        if (noteTime < this.a) {
-            return interp(noteTime / this.a, onAmp, 1, this.aExp);
+        if (noteTime < a) {
+            return interp(noteTime / a, onAmp, 1, this.aExp);
         }
-        else if (noteTime < this.a + this.d) {
-            return interp((noteTime - this.a) / this.d, 1, this.s, this.dExp);
+        else if (noteTime < a + this.d) {
+            return interp((noteTime - a) / this.d, 1, this.s, this.dExp);
         }
         else {
             return this.s;
@@ -79,3 +185,232 @@ ADSREnv.prototype.getValue = function (curTime, onTime, offTime, onAmp, offAmp)
     }
 };
 
+/**
+ Test if the envelope has gone through all its stages at a given time
+ */
+ADSREnv.prototype.isDone = function (curTime, onTime, offTime, attackScale) {
+    var a = (attackScale !== undefined) ? this.a * attackScale : this.a;
+
+    if (offTime === 0)
+        return curTime - onTime >= a + this.d;
+    else
+        return curTime - offTime >= this.r;
+};
+
+/**
+ Get the duration of the release
+ */
+ADSREnv.prototype.getReleaseTime = function () {
+    return this.r;
+};
+
+/**
+ @class Multi-stage breakpoint envelope. While the note is on, the envelope
+ waits for the delay time, then moves through each breakpoint in turn and
+ holds the level of the last one. The stages between two breakpoints can
+ loop while the note is held. At note-off, the envelope moves from its
+ current value through the release breakpoints.
+ @extends Envelope
+ */
+function BreakpointEnv(points, relPoints) {
+    /**
+     Time before the first stage starts, in seconds
+     */
+    this.delay = 0;
+
+    /**
+     Breakpoints reached while the note is on. Each one has the
+     stage duration leading to it, its level and the curve exponent
+     of the stage (see Envelope.interp).
+     */
+    this.points = (points !== undefined) ? points : [];
+
+    /**
+     Time the level of the first breakpoint is held for, in seconds
+     */
+    this.hold = 0;
+
+    /**
+     Index of the breakpoint the loop goes back to, -1 for no loop
+     */
+    this.loopStart = -1;
+
+    /**
+     Index of the breakpoint ending the loop
+     */
+    this.loopEnd = -1;
+
+    /**
+     Breakpoints reached after the note-off
+     */
+    this.relPoints = (relPoints !== undefined) ? relPoints : [];
+}
+BreakpointEnv.prototype = new Envelope();
+
+/**
+ Create a breakpoint
+ @param time stage duration leading to the breakpoint, in seconds
+ @param level level of the breakpoint
+ @param curve curve exponent of the stage, linear by default
+ */
+BreakpointEnv.point = function (time, level, curve) {
+    if (curve === undefined)
+        curve = 1;
+
+    return { time: time, level: level, curve: curve };
+};
+
+/**
+ Get a JSON representation of the envelope
+ */
+BreakpointEnv.prototype.toJSON = function () {
+    function points(list) {
+        return list.map(function (p) {
+            return {
+                time: Envelope.timeToJSON(p.time),
+                level: p.level,
+                curve: p.curve
+            };
+        });
+    }
+
+    return {
+        type: 'breakpoint',
+        delay: Envelope.timeToJSON(this.delay),
+        points: points(this.points),
+        hold: Envelope.timeToJSON(this.hold),
+        loopStart: this.loopStart,
+        loopEnd: this.loopEnd,
+        relPoints: points(this.relPoints)
+    };
+};
+
+/**
+ Create an envelope from its JSON representation
+ */
+BreakpointEnv.fromJSON = function (obj) {
+    function points(list) {
+        return list.map(function (p) {
+            return BreakpointEnv.point(Number(p.time), p.level, p.curve);
+        });
+    }
+
+    var env = new BreakpointEnv(points(obj.points), points(obj.relPoints));
+
+    env.delay = Number(obj.delay);
+    env.hold = Number(obj.hold);
+    env.loopStart = obj.loopStart;
+    env.loopEnd = obj.loopEnd;
+
+    return env;
+};
+
+/**
+ Get the envelope value at a given time
+ */
+BreakpointEnv.prototype.getValue = function (curTime, onTime, offTime, onAmp, offAmp, attackScale) {
+    // Follow a list of stages, from a starting level
+    function follow(points, startIdx, endIdx, level, t) {
+        for (var i = startIdx; i < endIdx; ++i) {
+            var point = points[i];
+
+            if (t < point.time) {
+                return {
+                    done: false,
+                    value: Envelope.interp(t / point.time, level, point.level, point.curve)
+                };
+            }
+
+            t -= point.time;
+            level = point.level;
+        }
+
+        return { done: true, value: level, time: t };
+    }
+
+    // If the note was released
+    if (offTime !== 0) {
+        // Without release stages, the envelope stops at note-off
+        if (this.relPoints.length === 0)
+            return 0;
+
+        var relTime = Math.max(0, curTime - offTime);
+
+        return follow(this.relPoints, 0, this.relPoints.length, offAmp, relTime).value;
+    }
+
+    var points = this.points;
+    var t = curTime - onTime - this.delay;
+
+    // Before the first stage
+    if (t < 0 || points.length === 0)
+        return onAmp;
+
+    // First stage, the attack, followed by the hold time
+    var first = points[0];
+    var attackTime = (attackScale !== undefined) ? first.time * attackScale : first.time;
+    if (t < attackTime)
+        return Envelope.interp(t / attackTime, onAmp, first.level, first.curve);
+    t -= attackTime;
+    if (t < this.hold)
+        return first.level;
+
+    var hasLoop = this.loopStart >= 0 && this.loopEnd > this.loopStart;
+    var lastIdx = hasLoop ? this.loopEnd + 1 : points.length;
+
+    // Stages up to the end of the loop, or to the last breakpoint
+    var res = follow(points, 1, lastIdx, first.level, t - this.hold);
+    if (!res.done || !hasLoop)
+        return res.value;
+
+    // Compute the loop duration
+    var loopTime = 0;
+    for (var i = this.loopStart + 1; i <= this.loopEnd; ++i)
+        loopTime += points[i].time;
+
+    if (!(loopTime > 0) || !isFinite(loopTime))
+        return res.value;
+
+    // Each pass of the loop starts from the level of its end point,
+    // so that the loop has no discontinuity
+    t = res.time % loopTime;
+
+    return follow(points, this.loopStart + 1, lastIdx, res.value, t).value;
+};
+
+/**
+ Test if the envelope has gone through all its stages at a given time
+ */
+BreakpointEnv.prototype.isDone = function (curTime, onTime, offTime, attackScale) {
+    function totalTime(points) {
+        var time = 0;
+        for (var i = 0; i < points.length; ++i)
+            time += points[i].time;
+        return time;
+    }
+
+    if (offTime !== 0)
+        return curTime - offTime >= totalTime(this.relPoints);
+
+    // A looping envelope never ends while the note is on
+    if (this.loopStart >= 0 && this.loopEnd > this.loopStart)
+        return false;
+
+    var endTime = this.delay + this.hold + totalTime(this.points);
+
+    // Adjust for the scaled attack time
+    if (attackScale !== undefined && this.points.length > 0)
+        endTime += this.points[0].time * (attackScale - 1);
+
+    return curTime - onTime >= endTime;
+};
+
+/**
+ Get the duration of the release
+ */
+BreakpointEnv.prototype.getReleaseTime = function () {
+    var time = 0;
+    for (var i = 0; i < this.relPoints.length; ++i)
+        time += this.relPoints[i].time;
+    return time;
+};
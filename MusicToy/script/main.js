@@ -40,10 +40,18 @@ function init() {
     // Create a piece
     var piece = new Piece(synthNet);
 
-    // Initialize the synth network
-    initSynth(synthNet, piece);
+    // Initialize the synth network and tracks
+    initSynth(synthNet);
+    initPiece(piece);
 
-    // Create an audio generation event handler
+    // Audio worklet node running the synthesis engine, once loaded
+    var workletNode = undefined;
+
+    // Flag indicating the worklet engine is playing
+    var workletPlaying = false;
+
+    // Create an audio generation event handler, used as a fallback
+    // when audio worklets are not supported
     var genAudio = piece.makeHandler();
 
     // JS audio node to produce audio output
@@ -55,11 +63,21 @@ function init() {
             return;
 
         // If the audio isn't stopped, stop it
-        if (jsAudioNode !== undefined)
-            stopAudio();
+        stopAudio();
+
+        // The audio context may start suspended until a user gesture
+        if (audioCtx.resume !== undefined)
+            audioCtx.resume();
 
         // Set the playback time on the piece to 0 (start)
-        piece.setTime(0);
+        piece.start();
+
+        // If the worklet engine is available, tell it to start playing
+        if (workletNode !== undefined) {
+            workletNode.port.postMessage({ type: 'play' });
+            workletPlaying = true;
+            return;
+        }
 
         // Create a JS audio node and connect it to the destination
         jsAudioNode = audioCtx.createScriptProcessor(bufferSize, 2, 2);
@@ -74,6 +92,14 @@ function init() {
         if (audioCtx === undefined)
             return;
 
+        if (workletPlaying) {
+            // Notify the piece that we are stopping playback
+            piece.stop();
+
+            workletNode.port.postMessage({ type: 'stop' });
+            workletPlaying = false;
+        }
+
         if (jsAudioNode === undefined)
             return;
 
@@ -86,7 +112,167 @@ function init() {
 
         // Clear the drawing interval
         //clearInterval(drawInterv);
+    };
+
+    updateTracks = function () {
+        // The ScriptProcessor fallback plays the piece directly
+        if (workletNode === undefined)
+            return;
+
+        var tracks = [];
+        for (var i = 0; i < piece.tracks.length; ++i) {
+            var events = piece.tracks[i].events;
+
+            tracks.push([]);
+            for (var j = 0; j < events.length; ++j)
+                tracks[i].push(events[j].toJSON());
+        }
+
+        workletNode.port.postMessage({ type: 'tracks', tracks: tracks });
+    };
+
+    editSynth = function (edit) {
+        synthNet.applyEdit(edit);
+
+        // Apply the same edit to the network playing in the worklet
+        if (workletNode !== undefined)
+            workletNode.port.postMessage({ type: 'edit', edit: edit });
+    };
+
+    // Latest profiling statistics received from the worklet
+    var workletProfile = undefined;
+
+    setProfiling = function (enabled) {
+        synthNet.setProfiling(enabled);
+
+        workletProfile = undefined;
+        if (workletNode !== undefined)
+            workletNode.port.postMessage({ type: 'profile', enabled: enabled });
+    };
+
+    getProfile = function () {
+        // When the worklet is running, the statistics come from it
+        if (workletNode !== undefined)
+            return workletProfile;
+
+        return synthNet.profile;
+    };
+
+    saveAudio = function (numLoops, bitDepth) {
+        // Stop the real-time playback, if any
+        stopAudio();
+
+        // Render the piece offline and encode it as a WAV file
+        var chanBufs = piece.renderAudio(numLoops);
+        var wavData = encodeWAV(chanBufs, sampleRate, bitDepth);
+
+        // Have the browser download the file
+        var blob = new Blob([wavData], { type: 'audio/wav' });
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'musictoy.wav';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    };
+
+    // Run the synthesis engine in an audio worklet, if supported
+    if (audioCtx !== undefined && audioCtx.audioWorklet !== undefined) {
+        loadWorklet(audioCtx, synthNet, function (node) {
+            node.port.onmessage = function (msgEvt) {
+                var msg = msgEvt.data;
+
+                switch (msg.type) {
+                    // Decode samples for the worklet, which can't do it
+                    case 'loadSample':
+                        Sample.loadData(msg.url, function (buffer) {
+                            node.port.postMessage(
+                                { type: 'sample', url: msg.url, buffer: buffer },
+                                [buffer.buffer]
+                            );
+                        });
+                        break;
+
+                    // Update the playback position for drawing
+                    case 'playPos':
+                        if (workletPlaying)
+                            piece.playTime = msg.playTime;
+                        if (msg.profile !== undefined)
+                            workletProfile = msg.profile;
+                        break;
+                }
+            };
+
+            node.connect(audioCtx.destination);
+            workletNode = node;
+
+            // Send the current track events to the worklet
+            updateTracks();
+        });
     }
+
+    // Create the sequencer interface
+    initSequencer(piece);
+}
+
+/**
+ Scripts making up the audio worklet engine, in loading order
+ */
+var WORKLET_SCRIPTS = [
+    'script/utils-misc.js',
+    'script/music.js',
+    'script/synth.js',
+    'script/envelope.js',
+    'script/vanalog.js',
+    'script/presets.js',
+    'script/sampling.js',
+    'script/effects.js',
+    'script/mixer.js',
+    'script/modulation.js',
+    'script/piece.js',
+    'script/musictoy.js',
+    'script/worklet.js'
+];
+
+/**
+ Load the synthesis engine into the audio worklet scope and create a
+ worklet node running the patch of the given synthesis network. The engine
+ scripts are concatenated into a single module so they share one scope, as
+ they do on the page. The patch is taken when the node is created, so that
+ it includes the edits made while the scripts load. If loading fails, the
+ ScriptProcessor fallback remains in use.
+ */
+function loadWorklet(audioCtx, synthNet, callback) {
+    var sources = WORKLET_SCRIPTS.map(function (url) {
+        return fetch(url).then(function (response) {
+            return response.text();
+        });
+    });
+
+    Promise.all(sources).then(function (texts) {
+        var blob = new Blob([texts.join('\n')], { type: 'application/javascript' });
+        var blobURL = URL.createObjectURL(blob);
+
+        return audioCtx.audioWorklet.addModule(blobURL).then(function () {
+            URL.revokeObjectURL(blobURL);
+        });
+    }).then(function () {
+        var node = new AudioWorkletNode(
+            audioCtx,
+            'musictoy-processor',
+            {
+                numberOfInputs: 0,
+                outputChannelCount: [2],
+                processorOptions: { patch: synthNet.toJSON() }
+            }
+        );
+
+        callback(node);
+    }).catch(function (e) {
+        console.warn('audio worklet unavailable, using ScriptProcessor');
+        console.warn(e.toString());
+    });
 }
 
 // Attach the init function to the load event
@@ -14,19 +14,35 @@ function Mixer(numInputs, numChans) {
     this.numChans = numChans;
 
     /**
-     Input volume(s), one value per input
+     Input volume parameter(s), one per input
      */
-    this.inVolume = new Float64Array(numInputs);
+    this.inVolume = new Array(numInputs);
 
     /**
-     Input panning settings, one value per input in [-1, 1]
+     Input panning parameters, one per input in [-1, 1]
      */
-    this.inPanning = new Float64Array(numInputs);
+    this.inPanning = new Array(numInputs);
 
     /**
      Output volume
      */
-    this.outVolume = 1;
+    new SynthParam(this, 'outVolume', 1);
+
+    /**
+     Output volume set by the volume controller [0,1]
+     */
+    this.ctrlVolume = 1;
+
+    /**
+     Output volume set by the expression controller [0,1]
+     */
+    this.ctrlExpression = 1;
+
+    /**
+     Panning offset set by the pan controller [-1,1],
+     added to the panning of every input
+     */
+    this.ctrlPan = 0;
 
     /**
      List of inputs
@@ -36,10 +52,10 @@ function Mixer(numInputs, numChans) {
     // For each input
     for (var i = 0; i < numInputs; ++i) {
         // Initialize the volume to 1
-        this.inVolume[i] = 1;
+        this.inVolume[i] = new SynthParam(this, 'inVolume' + i, 1);
 
         // Initialize the panning to 0 (centered)
-        this.inPanning[i] = 0;
+        this.inPanning[i] = new SynthParam(this, 'inPanning' + i, 0);
 
         // Audio input signal
         this.inputs[i] = new SynthInput(this, 'input' + i, numChans);
@@ -53,6 +69,72 @@ function Mixer(numInputs, numChans) {
 }
 Mixer.prototype = new SynthNode();
 
+/**
+ Get a JSON representation of the node
+ */
+Mixer.prototype.toJSON = function () {
+    return {
+        type: 'mixer',
+        name: this.name,
+        numChans: this.numChans,
+        inVolume: this.inVolume.map(function (param) {
+            return param.value;
+        }),
+        inPanning: this.inPanning.map(function (param) {
+            return param.value;
+        }),
+        outVolume: this.outVolume.value
+    };
+};
+
+/**
+ Create a mixer from its JSON representation
+ */
+Mixer.fromJSON = function (obj) {
+    var node = new Mixer(obj.inVolume.length, obj.numChans);
+
+    for (var i = 0; i < obj.inVolume.length; ++i) {
+        node.inVolume[i].value = obj.inVolume[i];
+        node.inPanning[i].value = obj.inPanning[i];
+    }
+
+    node.outVolume.value = obj.outVolume;
+
+    return node;
+};
+
+/**
+ Process an event
+ */
+Mixer.prototype.processEvent = function (evt, time, offset) {
+    // Controller change event
+    if (evt instanceof ControlEvt) {
+        switch (evt.ctrlNo) {
+            case CTRL_VOLUME:
+                this.ctrlVolume = evt.value;
+                break;
+
+            case CTRL_EXPRESSION:
+                this.ctrlExpression = evt.value;
+                break;
+
+            // The controller is centered at 0.5
+            case CTRL_PAN:
+                this.ctrlPan = 2 * evt.value - 1;
+                break;
+        }
+    }
+
+    // Playback start event, reset the controllers
+    else if (evt instanceof StartEvt) {
+        this.ctrlVolume = 1;
+        this.ctrlExpression = 1;
+        this.ctrlPan = 0;
+    }
+
+    // By default, do nothing
+};
+
 /**
  Update the outputs based on the inputs
  */
@@ -88,34 +170,42 @@ Mixer.prototype.update = function (time, sampleRate) {
             // Get the input buffer
             var inBuf = input.getBuffer(chIdx);
 
-            // Get the volume for this input
-            var inVolume = this.inVolume[inIdx];
+            // Get the volume values for this input
+            var volBuf = this.inVolume[inIdx].values;
 
             // Get the output buffer
             var outBuf = this.output.getBuffer(chIdx);
 
             // If we are operating in stereo
             if (this.numChans === 2) {
-                var inPanning = this.inPanning[inIdx];
+                var panBuf = this.inPanning[inIdx].values;
 
-                // Scale the channel volumes based on the panning level
-                if (chIdx === 0)
-                    inVolume *= (1 - inPanning) / 2;
-                else if (chIdx === 1)
-                    inVolume *= (1 + inPanning) / 2;
-            }
+                // Panning direction for this channel
+                var panSign = (chIdx === 0) ? -1 : 1;
 
-            // Scale the input and add it to the output
-            for (var i = 0; i < inBuf.length; ++i)
-                outBuf[i] += inBuf[i] * inVolume;
+                // Scale the channel volumes based on the panning level,
+                // offset by the pan controller
+                for (var i = 0; i < inBuf.length; ++i) {
+                    var pan = Math.max(-1, Math.min(panBuf[i] + this.ctrlPan, 1));
+                    outBuf[i] += inBuf[i] * volBuf[i] * (1 + panSign * pan) / 2;
+                }
+            }
+            else {
+                // Scale the input and add it to the output
+                for (var i = 0; i < inBuf.length; ++i)
+                    outBuf[i] += inBuf[i] * volBuf[i];
+            }
         }
     }
 
     // Scale the output according to the output volume
+    // and the controller volumes
+    var outVolBuf = this.outVolume.values;
+    var ctrlGain = this.ctrlVolume * this.ctrlExpression;
     for (var chIdx = 0; chIdx < this.numChans; ++chIdx) {
         var outBuf = this.output.getBuffer(chIdx);
         for (var i = 0; i < outBuf.length; ++i)
-            outBuf[i] *= this.outVolume;
+            outBuf[i] *= outVolBuf[i] * ctrlGain;
     }
 };
 
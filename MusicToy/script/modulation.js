@@ -0,0 +1,188 @@
+/**
+ @class Low frequency oscillator, a modulation source. Its output can be
+ connected to node parameters, such as a filter cutoff, a pitch or a
+ mixer panning setting.
+ @extends SynthNode
+ */
+function LFO() {
+    this.name = 'lfo';
+
+    /**
+     Waveform: sine, triangle, sawtooth, square or sample-hold
+     */
+    this.shape = 'sine';
+
+    /**
+     Oscillation rate, in Hz
+     */
+    new SynthParam(this, 'rate', 1);
+
+    /**
+     Cycle length in beats when synced to the tempo, 0 to use the rate
+     */
+    this.syncBeats = 0;
+
+    /**
+     Modulation amount, the output ranges in [-amount, amount]
+     */
+    new SynthParam(this, 'amount', 1);
+
+    /**
+     Cycle position [0,1) the phase is reset to at playback start
+     */
+    this.phase = 0;
+
+    /**
+     Tempo in beats per minute, received at playback start
+     */
+    this.beatsPerMin = 120;
+
+    /**
+     Current cycle position
+     */
+    this.cyclePos = 0;
+
+    /**
+     Seed of the random number generator for the sample and hold waveform
+     */
+    this.seed = 0;
+
+    /**
+     Random number generator, reset at playback start
+     */
+    this.randGen = new RandGen(this.seed);
+
+    /**
+     Value held by the sample and hold waveform
+     */
+    this.heldValue = 0;
+
+    // Modulation output
+    new SynthOutput(this, 'output');
+}
+LFO.prototype = new SynthNode();
+
+/**
+ Get a JSON representation of the node
+ */
+LFO.prototype.toJSON = function () {
+    return {
+        type: 'lfo',
+        name: this.name,
+        shape: this.shape,
+        rate: this.rate.value,
+        syncBeats: this.syncBeats,
+        amount: this.amount.value,
+        phase: this.phase,
+        seed: this.seed
+    };
+};
+
+/**
+ Create an LFO from its JSON representation
+ */
+LFO.fromJSON = function (obj) {
+    var node = new LFO();
+
+    node.shape = obj.shape;
+    node.rate.value = obj.rate;
+    node.syncBeats = obj.syncBeats;
+    node.amount.value = obj.amount;
+    node.phase = obj.phase;
+    node.cyclePos = obj.phase;
+
+    if (obj.seed !== undefined) {
+        node.seed = obj.seed;
+        node.randGen.setSeed(obj.seed);
+    }
+
+    return node;
+};
+
+/**
+ Process an event
+ */
+LFO.prototype.processEvent = function (evt, time, offset) {
+    // Playback start event
+    if (evt instanceof StartEvt) {
+        this.beatsPerMin = evt.beatsPerMin;
+
+        // Reset the phase and the random sequence
+        this.cyclePos = this.phase;
+        this.randGen.setSeed(this.seed);
+        this.heldValue = 1 - 2 * this.randGen.random();
+    }
+
+    // By default, do nothing
+};
+
+/**
+ Update the outputs based on the inputs
+ */
+LFO.prototype.update = function (time, sampleRate) {
+    // Get the output buffer
+    var outBuf = this.output.getBuffer(0);
+
+    var rateBuf = this.rate.values;
+    var amountBuf = this.amount.values;
+
+    // If synced to the tempo, compute the rate from the cycle length
+    var syncRate = 0;
+    if (this.syncBeats > 0)
+        syncRate = (this.beatsPerMin / 60) / this.syncBeats;
+
+    var cyclePos = this.cyclePos;
+
+    // The starting phase may lie outside of the cycle
+    if (cyclePos >= 1 || cyclePos < 0)
+        cyclePos -= Math.floor(cyclePos);
+
+    // For each sample to be produced
+    for (var i = 0; i < outBuf.length; ++i) {
+        var val;
+
+        // Switch on the waveform
+        switch (this.shape) {
+            case 'sine':
+                val = Math.sin(2 * Math.PI * cyclePos);
+                break;
+
+            case 'triangle':
+                if (cyclePos < 0.5)
+                    val = (4 * cyclePos) - 1;
+                else
+                    val = 1 - (4 * (cyclePos - 0.5));
+                break;
+
+            case 'sawtooth':
+                val = -1 + (2 * cyclePos);
+                break;
+
+            case 'square':
+                val = (cyclePos < 0.5) ? 1 : -1;
+                break;
+
+            case 'sample-hold':
+                val = this.heldValue;
+                break;
+
+            default:
+                error('invalid LFO shape: ' + this.shape);
+        }
+
+        outBuf[i] = val * amountBuf[i];
+
+        var rate = (syncRate > 0) ? syncRate : rateBuf[i];
+
+        cyclePos += rate / sampleRate;
+
+        // At the end of each cycle, pick a new held value. The position
+        // also wraps around when a negative rate runs the cycle backwards.
+        if (cyclePos >= 1 || cyclePos < 0) {
+            cyclePos -= Math.floor(cyclePos);
+            this.heldValue = 1 - 2 * this.randGen.random();
+        }
+    }
+
+    this.cyclePos = cyclePos;
+};
@@ -1,36 +1,15 @@
-function initSynth(synthNet, piece) {
-    // Lead patch
+/**
+ Create the default instrument patch
+ */
+function initSynth(synthNet) {
+    // Lead instrument, its sound comes from the preset bank
     var lead = synthNet.addNode(new VAnalog(2));
     lead.name = 'lead';
-
-    lead.oscs[0].type = 'pulse';
-    lead.oscs[0].duty = 0.5;
-    lead.oscs[0].detune = -1195;
-    lead.oscs[0].volume = 1;
-
-    lead.oscs[1].type = 'pulse';
-    lead.oscs[1].duty = 0.5;
-    lead.oscs[1].detune = -1205;
-    lead.oscs[1].volume = 1;
-
-    lead.oscs[0].env.a = 0;
-    lead.oscs[0].env.d = 0.1;
-    lead.oscs[0].env.s = 0;
-    lead.oscs[0].env.r = 0;
-
-    lead.oscs[1].env = lead.oscs[0].env;
-
-    lead.cutoff = 0.3;
-    lead.resonance = 0;
-
-    lead.filterEnv.a = 0;
-    lead.filterEnv.d = 0.2;
-    lead.filterEnv.s = 0;
-    lead.filterEnv.r = 0;
-    lead.filterEnvAmt = 0.85;
+    lead.setPreset(findPreset(DEFAULT_LEAD_PRESET));
 
     // Drum kit
     var sampleKit = synthNet.addNode(new SampleKit());
+    sampleKit.name = 'drums';
     sampleKit.mapSample('C4', 'resources/drum/biab_trance_kick_4.wav', 2.2);
     sampleKit.mapSample('C#4', 'resources/drum/biab_trance_snare_2.wav', 2);
     sampleKit.mapSample('D4', 'resources/drum/biab_trance_hat_6.wav', 2);
@@ -38,15 +17,15 @@ function initSynth(synthNet, piece) {
 
     // Overdrive effect
     var overdrive = synthNet.addNode(new Overdrive());
-    overdrive.gain = 8;
-    overdrive.factor = 50;
+    overdrive.gain.value = 8;
+    overdrive.factor.value = 50;
 
     // Mixer
     var mixer = synthNet.addNode(new Mixer());
-    mixer.inVolume[0] = 0.5;
-    mixer.inVolume[1] = 0.5;
-    mixer.inVolume[2] = 2;
-    mixer.outVolume = 0.7;
+    mixer.inVolume[0].value = 0.5;
+    mixer.inVolume[1].value = 0.5;
+    mixer.inVolume[2].value = 2;
+    mixer.outVolume.value = 0.7;
 
     // Sound output node
     var outNode = synthNet.addNode(new OutNode(2));
@@ -56,26 +35,38 @@ function initSynth(synthNet, piece) {
     sampleKit.output.connect(mixer.input2);
     mixer.output.connect(outNode.signal);
     synthNet.orderNodes();
+}
+
+/**
+ Create the tracks for the lead and drum instruments, and set the tempo.
+ This runs both on the page and inside the audio worklet.
+ */
+function initPiece(piece) {
+    var synthNet = piece.synthNet;
 
     // Create a track for the lead instrument
-    var leadTrack = new Track(lead);
+    var leadTrack = new Track(synthNet.getNode('lead'));
     piece.addTrack(leadTrack);
 
     // Create a track for the drum kit
-    var drumTrack = new Track(sampleKit);
+    var drumTrack = new Track(synthNet.getNode('drums'));
     piece.addTrack(drumTrack);
 
-
     piece.beatsPerMin = 137;
     piece.beatsPerBar = 4;
     piece.noteVal = 4;
 
     piece.loopTime = piece.beatTime(Sequencer.NUM_BEATS);
+}
 
+/**
+ Create the sequencer interface and its buttons on the canvas
+ */
+function initSequencer(piece) {
     var sequencer = new Sequencer(
         piece,
-        leadTrack,
-        drumTrack,
+        piece.tracks[0],
+        piece.tracks[1],
         'G4',
         'C4',
         'minor pentatonic',
@@ -142,6 +133,120 @@ function initSynth(synthNet, piece) {
         }
     );
 
+    // Save button, renders the loop to a WAV file
+    sequencer.makeButton(
+        20,
+        canvas.height - 30,
+        60,
+        25,
+        function click() {
+            if (drawInterv !== undefined)
+                clearInterval(drawInterv);
+
+            saveAudio(4, 16);
+
+            redraw();
+        },
+        function draw(ctx) {
+            ctx.textBaseline = 'top';
+            ctx.textAlign = 'center';
+            ctx.strokeStyle = 'rgb(255, 255, 255)';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.x, this.y, this.width, this.height);
+
+            ctx.fillStyle = 'white';
+            ctx.font = '14pt Arial';
+            ctx.fillText('Save', this.x + this.width / 2, this.y);
+        }
+    );
+
+    // Perf button, toggles the performance overlay
+    sequencer.makeButton(
+        100,
+        canvas.height - 30,
+        60,
+        25,
+        function click() {
+            sequencer.showProfile = !sequencer.showProfile;
+            setProfiling(sequencer.showProfile);
+
+            redraw();
+        },
+        function draw(ctx) {
+            ctx.textBaseline = 'top';
+            ctx.textAlign = 'center';
+            ctx.strokeStyle = 'rgb(255, 255, 255)';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.x, this.y, this.width, this.height);
+
+            ctx.fillStyle = 'white';
+            ctx.font = '14pt Arial';
+            ctx.fillText('Perf', this.x + this.width / 2, this.y);
+        }
+    );
+
+    // Keep button, stores the lead preset for the user
+    sequencer.makeButton(
+        170,
+        canvas.height - 30,
+        60,
+        25,
+        function click() {
+            // Built-in presets are always available
+            if (getBuiltinPresets().indexOf(sequencer.preset) === -1)
+                storeUserPreset(sequencer.preset);
+        },
+        function draw(ctx) {
+            ctx.textBaseline = 'top';
+            ctx.textAlign = 'center';
+            ctx.strokeStyle = 'rgb(255, 255, 255)';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.x, this.y, this.width, this.height);
+
+            ctx.fillStyle = 'white';
+            ctx.font = '14pt Arial';
+            ctx.fillText('Keep', this.x + this.width / 2, this.y);
+        }
+    );
+
+    // Sound button, cycles through the lead presets
+    sequencer.makeButton(
+        420,
+        canvas.height - 30,
+        130,
+        25,
+        function click() {
+            var presets = getPresetList();
+
+            var curIdx = -1;
+            for (var i = 0; i < presets.length; ++i) {
+                if (presets[i].name === sequencer.preset.name) {
+                    curIdx = i;
+                    break;
+                }
+            }
+
+            sequencer.setPreset(presets[(curIdx + 1) % presets.length]);
+
+            redraw();
+        },
+        function draw(ctx) {
+            ctx.textBaseline = 'middle';
+            ctx.textAlign = 'center';
+            ctx.strokeStyle = 'rgb(255, 255, 255)';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.x, this.y, this.width, this.height);
+
+            ctx.fillStyle = 'white';
+            ctx.font = '11pt Arial';
+            ctx.fillText(
+                sequencer.preset.name,
+                this.x + this.width / 2,
+                this.y + this.height / 2
+            );
+        }
+    );
+
     // Clear button
     sequencer.makeButton(
         (canvas.width) - 80,
@@ -241,6 +346,16 @@ function Sequencer(piece,
      */
     this.buttons = [];
 
+    /**
+     Flag to show the performance overlay
+     */
+    this.showProfile = false;
+
+    /**
+     Preset of the lead instrument
+     */
+    this.preset = findPreset(DEFAULT_LEAD_PRESET);
+
     // Compute the number of rows
     var numRows = this.leadNotes.length + this.drumNotes.length;
 
@@ -312,11 +427,15 @@ Sequencer.SQRS_PER_BEAT = 4;
 Sequencer.NUM_BEATS = Sequencer.NUM_COLS / Sequencer.SQRS_PER_BEAT;
 
 /**
- Parse the sequencer state from a given hash string
+ Parse the sequencer state from a given hash string. The grid state
+ may be followed by the lead preset.
  */
 Sequencer.prototype.parseHash = function (hashStr) {
     console.log('Parsing hash string');
 
+    var parts = hashStr.split('&');
+    hashStr = parts[0];
+
     var sqrIdx = 0;
 
     // For each hash code character
@@ -332,6 +451,15 @@ Sequencer.prototype.parseHash = function (hashStr) {
             sqrIdx++;
         }
     }
+
+    // Set the preset once the grid is loaded, since
+    // setting it regenerates the hash
+    if (parts.length > 1) {
+        var preset = decodePreset(parts[1]);
+
+        if (preset !== undefined)
+            this.setPreset(preset);
+    }
 };
 
 /**
@@ -370,7 +498,31 @@ Sequencer.prototype.genHash = function () {
     if (codeLen > 0)
         pushCode();
 
-    return String.fromCharCode.apply(null, charCodes);
+    var hashStr = String.fromCharCode.apply(null, charCodes);
+
+    // Add the lead preset, unless it is the default one
+    if (this.preset.name !== DEFAULT_LEAD_PRESET ||
+        getBuiltinPresets().indexOf(this.preset) === -1)
+        hashStr += '&' + encodePreset(this.preset);
+
+    return hashStr;
+};
+
+/**
+ Set the preset of the lead instrument
+ */
+Sequencer.prototype.setPreset = function (preset) {
+    console.log('Setting lead preset: ' + preset.name);
+
+    this.preset = preset;
+
+    editSynth({
+        op: 'setPreset',
+        node: this.leadTrack.target.name,
+        preset: preset
+    });
+
+    location.hash = this.genHash();
 };
 
 /**
@@ -441,6 +593,68 @@ Sequencer.prototype.draw = function (canvas, ctx) {
         canvasCtx.closePath();
         canvasCtx.stroke();
     }
+
+    if (this.showProfile)
+        this.drawProfile(canvas, ctx, getProfile());
+};
+
+/**
+ Draw the performance overlay, showing the DSP load and the
+ time spent in each synthesis node
+ */
+Sequencer.prototype.drawProfile = function (canvas, ctx, profile) {
+    var lines = [];
+
+    if (profile === undefined || profile.numBlocks === 0) {
+        lines.push('No profiling data, press play');
+    }
+    else {
+        lines.push('DSP load: ' + (100 * profile.load).toFixed(1) + '%');
+        lines.push('Block time: ' + profile.blockTime.toFixed(3) + ' ms');
+        lines.push('Underruns: ' + profile.numUnderruns);
+
+        // List the nodes from the heaviest to the lightest
+        var names = Object.keys(profile.nodeTimes);
+        names.sort(function (a, b) {
+            return profile.nodeTimes[b] - profile.nodeTimes[a];
+        });
+
+        for (var i = 0; i < names.length; ++i) {
+            var nodeTime = profile.nodeTimes[names[i]];
+            var share = (profile.blockTime > 0) ? nodeTime / profile.blockTime : 0;
+
+            lines.push(
+                names[i] + ': ' + nodeTime.toFixed(3) + ' ms (' +
+                (100 * share).toFixed(0) + '%)'
+            );
+        }
+    }
+
+    var lineHeight = 16;
+    var width = 240;
+    var height = lines.length * lineHeight + 10;
+    var x = canvas.width - width - 10;
+    var y = 10;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeStyle = 'rgb(255, 255, 255)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, width, height);
+
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.font = '10pt Arial';
+
+    for (var i = 0; i < lines.length; ++i) {
+        // Highlight the load when it exceeds the real-time budget
+        if (i === 0 && profile !== undefined && profile.load > 1)
+            ctx.fillStyle = 'red';
+        else
+            ctx.fillStyle = 'white';
+
+        ctx.fillText(lines[i], x + 8, y + 5 + i * lineHeight);
+    }
 };
 
 /**
@@ -474,5 +688,8 @@ Sequencer.prototype.render = function () {
     }
 
     location.hash = this.genHash();
+
+    // Send the new events to the audio engine
+    updateTracks();
 };
 
@@ -0,0 +1,145 @@
+//============================================================================
+// Node.js engine loader
+//============================================================================
+
+// Loads the synthesis engine into Node.js, with no DOM or Web Audio API,
+// so that pieces can be rendered and tested from scripts:
+//
+//   var engine = require('./script/node-engine.js');
+//   var synthNet = new engine.SynthNet(44100);
+//
+// The engine scripts are written for the page, where they share globals
+// through script tags. They are evaluated in the global scope here as well,
+// so the engine classes also become Node globals.
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+/**
+ Scripts making up the engine, in loading order
+ */
+var ENGINE_SCRIPTS = [
+    'utils-misc.js',
+    'music.js',
+    'synth.js',
+    'envelope.js',
+    'vanalog.js',
+    'presets.js',
+    'sampling.js',
+    'sfz.js',
+    'effects.js',
+    'mixer.js',
+    'modulation.js',
+    'piece.js',
+    'wavfile.js',
+    'musictoy.js'
+];
+
+for (var i = 0; i < ENGINE_SCRIPTS.length; ++i) {
+    var fileName = path.join(__dirname, ENGINE_SCRIPTS[i]);
+
+    vm.runInThisContext(
+        fs.readFileSync(fileName, 'utf8'),
+        { filename: fileName }
+    );
+}
+
+/**
+ Load sample data from a WAV file. Relative paths are resolved from
+ the current working directory. As in the browser, only the first channel
+ is kept. The data is used at the file's own sample rate.
+ */
+Sample.loadData = function (url, callback) {
+    var fileData = fs.readFileSync(path.resolve(url));
+
+    // Copy the file contents into their own ArrayBuffer
+    var arrayBuf = fileData.buffer.slice(
+        fileData.byteOffset,
+        fileData.byteOffset + fileData.byteLength
+    );
+
+    var wav = decodeWAV(arrayBuf);
+
+    callback(wav.chanBufs[0]);
+};
+
+/**
+ Load a text file, such as an SFZ instrument definition. Relative paths
+ are resolved from the current working directory. As in the browser,
+ the callback gets undefined if the file can't be read.
+ */
+loadTextFile = function (url, callback) {
+    try {
+        var text = fs.readFileSync(path.resolve(url), 'utf8');
+    }
+
+    catch (e) {
+        console.error('failed to load "' + url + '"');
+        console.error(e.toString());
+        callback(undefined);
+        return;
+    }
+
+    callback(text);
+};
+
+module.exports = {
+    assert: assert,
+    error: error,
+    getTimeMs: getTimeMs,
+    RandGen: RandGen,
+
+    Note: Note,
+    genScale: genScale,
+
+    SYNTH_BUF_SIZE: SYNTH_BUF_SIZE,
+    SynthOutput: SynthOutput,
+    SynthInput: SynthInput,
+    SynthParam: SynthParam,
+    SynthNode: SynthNode,
+    SynthNet: SynthNet,
+    SynthProfile: SynthProfile,
+    OutNode: OutNode,
+
+    Envelope: Envelope,
+    ADSREnv: ADSREnv,
+    BreakpointEnv: BreakpointEnv,
+    Wavetable: Wavetable,
+    VAnalog: VAnalog,
+    getBuiltinPresets: getBuiltinPresets,
+    findPreset: findPreset,
+    Sample: Sample,
+    SampleKit: SampleKit,
+    SampleInstr: SampleInstr,
+    SampleZone: SampleZone,
+    MultiSampleInstr: MultiSampleInstr,
+    parseSFZ: parseSFZ,
+    makeSFZInstr: makeSFZInstr,
+    loadSFZ: loadSFZ,
+    Overdrive: Overdrive,
+    Mixer: Mixer,
+    LFO: LFO,
+
+    Piece: Piece,
+    Track: Track,
+    SynthEvt: SynthEvt,
+    NoteOnEvt: NoteOnEvt,
+    NoteOffEvt: NoteOffEvt,
+    AllNotesOffEvt: AllNotesOffEvt,
+    StartEvt: StartEvt,
+    PitchBendEvt: PitchBendEvt,
+    ChanPressureEvt: ChanPressureEvt,
+    PolyAftertouchEvt: PolyAftertouchEvt,
+    ControlEvt: ControlEvt,
+    CTRL_MOD_WHEEL: CTRL_MOD_WHEEL,
+    CTRL_VOLUME: CTRL_VOLUME,
+    CTRL_PAN: CTRL_PAN,
+    CTRL_EXPRESSION: CTRL_EXPRESSION,
+
+    encodeWAV: encodeWAV,
+    decodeWAV: decodeWAV,
+
+    initSynth: initSynth,
+    initPiece: initPiece
+};
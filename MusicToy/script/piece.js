@@ -36,6 +36,11 @@ function Piece(synthNet) {
      */
     this.prevTime = 0;
 
+    /**
+     Synthesis time, increases monotonically, even when looping
+     */
+    this.realTime = 0;
+
     /**
      Tempo in beats per minute
      */
@@ -131,23 +136,45 @@ Piece.prototype.makeNote = function (track, beatNo, note, len, vel) {
  */
 Piece.prototype.setTime = function (time) {
     this.playTime = time;
+    this.prevTime = time;
 };
 
 /**
  Dispatch synthesis events up to the current time
+ @param realTime synthesis time corresponding to the previous update time
+ @param offset sample offset of the previous update time in the block
  */
-Piece.prototype.dispatch = function (curTime, realTime) {
+Piece.prototype.dispatch = function (curTime, realTime, offset) {
+    var sampleRate = this.synthNet.sampleRate;
+
     // Do the dispatch for each track
     for (var i = 0; i < this.tracks.length; ++i) {
         var track = this.tracks[i];
 
-        track.dispatch(this.prevTime, curTime, realTime);
+        track.dispatch(this.prevTime, curTime, realTime, sampleRate, offset);
     }
 
     // Store the last update time/position
     this.prevTime = curTime;
 };
 
+/**
+ Called when starting the playback of a piece, from the beginning
+ */
+Piece.prototype.start = function () {
+    this.setTime(0);
+
+    // If a synthesis network is attached to this piece
+    if (this.synthNet !== undefined) {
+        // Send a start event to all synthesis nodes
+        var startEvt = new StartEvt(0, this.beatsPerMin);
+        for (var i = 0; i < this.synthNet.nodes.length; ++i) {
+            var node = this.synthNet.nodes[i];
+            node.processEvent(startEvt, this.realTime);
+        }
+    }
+};
+
 /**
  Called when stopping the playback of a piece
  */
@@ -166,35 +193,72 @@ Piece.prototype.stop = function () {
     this.playTime = Infinity;
 };
 
+/**
+ Generate one block of audio, dispatching the events falling inside it
+ and advancing the playback position. Events are delivered with their
+ sample offset in the block, and the loop point is handled within the
+ block, so that timing is accurate to the sample.
+ @returns the output node of the synthesis network
+ */
+Piece.prototype.genBlock = function () {
+    var synthNet = this.synthNet;
+    var sampleRate = synthNet.sampleRate;
+    var blockTime = SYNTH_BUF_SIZE / sampleRate;
+
+    var startTime = this.playTime;
+    var endTime = startTime + blockTime;
+
+    // If the loop point falls inside this block
+    if (this.loopTime > 0 &&
+        startTime <= this.loopTime &&
+        endTime > this.loopTime) {
+        // Dispatch the events up to the loop point
+        this.dispatch(this.loopTime + 0.01, this.realTime, 0);
+
+        // Go back to the start for the rest of the block
+        var loopOffset = Math.round((this.loopTime - startTime) * sampleRate);
+        endTime -= this.loopTime;
+        this.prevTime = 0;
+
+        this.dispatch(
+            endTime,
+            this.realTime + loopOffset / sampleRate,
+            loopOffset
+        );
+    }
+    else {
+        // Update the piece, dispatch track events
+        this.dispatch(endTime, this.realTime, 0);
+    }
+
+    // Generate the sample values
+    var outNode = synthNet.genOutput(this.realTime);
+
+    // Update the current time based on sample rate
+    this.realTime += blockTime;
+
+    // Update the current playback position
+    this.playTime = endTime;
+
+    return outNode;
+};
+
 /**
  Create a handler for real-time audio generation
  */
 Piece.prototype.makeHandler = function () {
-    var synthNet = this.synthNet;
     var piece = this;
 
-    var sampleRate = synthNet.sampleRate;
-
     // Output node of the synthesis network
-    var outNode = synthNet.outNode;
-
-    // Current playback time
-    var curTime = piece.playTime;
-    var realTime = piece.playTime;
+    var outNode = this.synthNet.outNode;
 
     // Audio generation function
     function genAudio(evt) {
-        //var startTime = (new Date()).getTime();
+        var startTime = getTimeMs();
 
         var numChans = evt.outputBuffer.numberOfChannels;
         var numSamples = evt.outputBuffer.getChannelData(0).length;
 
-        // If the playback position changed, update the current time
-        if (piece.playTime !== curTime) {
-            console.log('playback time updated');
-            curTime = piece.playTime;
-        }
-
         assert(
             numChans === outNode.numChans,
             'mismatch in the number of output channels'
@@ -207,11 +271,8 @@ Piece.prototype.makeHandler = function () {
 
         // Until all resources are produced
         for (var smpIdx = 0; smpIdx < numSamples; smpIdx += SYNTH_BUF_SIZE) {
-            // Update the piece, dispatch track events
-            piece.dispatch(curTime, realTime);
+            piece.genBlock();
 
-            // Generate the sample values
-            /*var values =*/ synthNet.genOutput(realTime);
             // Copy the values for each channel
             for (var chnIdx = 0; chnIdx < numChans; ++chnIdx) {
                 var srcBuf = outNode.getBuffer(chnIdx);
@@ -220,35 +281,121 @@ Piece.prototype.makeHandler = function () {
                 for (var i = 0; i < SYNTH_BUF_SIZE; ++i)
                     dstBuf[smpIdx + i] = srcBuf[i];
             }
+        }
+
+        // Count underruns when profiling
+        var profile = piece.synthNet.profile;
+        if (profile !== undefined) {
+            var compTime = getTimeMs() - startTime;
+            var soundTime = 1000 * numSamples / piece.synthNet.sampleRate;
+            profile.recordCallback(compTime, soundTime);
+        }
+    }
 
-            // Update the current time based on sample rate
-            curTime += SYNTH_BUF_SIZE / sampleRate;
-            realTime += SYNTH_BUF_SIZE / sampleRate;
+    // Return the handler function
+    return genAudio;
+};
 
-            // If we lust passed the loop time, go back to the start
-            if (piece.playTime <= piece.loopTime &&
-                curTime > piece.loopTime) {
-                piece.dispatch(piece.loopTime + 0.01, realTime);
+/**
+ Render the piece offline, faster than real-time.
+ Plays the piece from the start for a number of loops, then keeps
+ generating audio until the release tails have finished.
+ @param numLoops number of loops to render (defaults to 1). Ignored if
+ the piece has no loop time, in which case it plays until its last event.
+ @param maxTail maximum release tail length in seconds (defaults to 10)
+ @returns an array of Float32Array sample buffers, one per channel
+ */
+Piece.prototype.renderAudio = function (numLoops, maxTail) {
+    if (numLoops === undefined)
+        numLoops = 1;
 
-                curTime = 0;
-                piece.prevTime = 0;
-            }
+    if (maxTail === undefined)
+        maxTail = 10;
+
+    var synthNet = this.synthNet;
+    var sampleRate = synthNet.sampleRate;
+    var outNode = synthNet.outNode;
+    var numChans = outNode.numChans;
+    var blockTime = SYNTH_BUF_SIZE / sampleRate;
+
+    // Find the time of the last event in the piece
+    var endTime = 0;
+    for (var i = 0; i < this.tracks.length; ++i) {
+        var events = this.tracks[i].events;
+        if (events.length > 0)
+            endTime = Math.max(endTime, events[events.length - 1].time);
+    }
 
-            // Update the current playback position
-            piece.playTime = curTime;
+    // Compute an upper bound on the rendered length
+    var playLen = (this.loopTime > 0) ? numLoops * (this.loopTime + blockTime) : endTime + blockTime;
+    var maxLen = Math.ceil((playLen + maxTail) / blockTime + 1) * SYNTH_BUF_SIZE;
+
+    var chanBufs = new Array(numChans);
+    for (var chnIdx = 0; chnIdx < numChans; ++chnIdx)
+        chanBufs[chnIdx] = new Float32Array(maxLen);
+
+    var numSamples = 0;
+
+    function copyOutput() {
+        for (var chnIdx = 0; chnIdx < numChans; ++chnIdx) {
+            var srcBuf = outNode.getBuffer(chnIdx);
+            var dstBuf = chanBufs[chnIdx];
+
+            for (var i = 0; i < SYNTH_BUF_SIZE; ++i)
+                dstBuf[numSamples + i] = srcBuf[i];
         }
 
-/*
-        var endTime = (new Date()).getTime();
-        var compTime = (endTime - startTime) / 1000;
-        var soundTime = (numSamples / synthNet.sampleRate);
-        var cpuUse = (100 * compTime / soundTime).toFixed(1);
-        console.log('cpu use: ' + cpuUse + '%');
-*/
+        numSamples += SYNTH_BUF_SIZE;
     }
 
-    // Return the handler function
-    return genAudio;
+    // Silence any notes left playing and start from the beginning
+    this.stop();
+    this.start();
+
+    var loopTime = this.loopTime;
+
+    // Play all the loops but the last, until the position wraps around
+    if (loopTime > 0) {
+        endTime = loopTime;
+
+        for (var loopNo = 0; loopNo < numLoops - 1; ++loopNo) {
+            do {
+                var prevTime = this.playTime;
+
+                this.genBlock();
+                copyOutput();
+            } while (this.playTime >= prevTime);
+        }
+    }
+
+    // Play the last pass without looping, so that the events at the
+    // start of the piece are not dispatched again
+    this.loopTime = 0;
+    while (this.playTime <= endTime) {
+        this.genBlock();
+        copyOutput();
+    }
+    this.loopTime = loopTime;
+
+    // Let the release tails finish, without dispatching more events
+    for (var tailTime = 0; tailTime < maxTail; tailTime += blockTime) {
+        synthNet.genOutput(this.realTime);
+        this.realTime += blockTime;
+
+        // If no more audio is being produced, stop
+        if (!outNode.signal.hasData())
+            break;
+
+        copyOutput();
+    }
+
+    // Reset the instruments and playback position
+    this.stop();
+
+    for (var chnIdx = 0; chnIdx < numChans; ++chnIdx)
+        chanBufs[chnIdx] = chanBufs[chnIdx].subarray(0, numSamples);
+
+    return chanBufs;
 };
 
 /**
@@ -292,8 +439,14 @@ Track.prototype.addEvent = function (evt) {
 /**
  Dispatch the events between the previous update time and
  the current time, inclusively.
+ @param realTime synthesis time corresponding to prevTime
+ @param offset sample offset of prevTime in the block being generated
  */
-Track.prototype.dispatch = function (prevTime, curTime, realTime) {
+Track.prototype.dispatch = function (prevTime,
+                                     curTime,
+                                     realTime,
+                                     sampleRate,
+                                     offset) {
     if (this.target === undefined)
         return;
 
@@ -341,7 +494,15 @@ Track.prototype.dispatch = function (prevTime, curTime, realTime) {
 
         console.log('Dispatch: ' + evt);
 
-        this.target.processEvent(evt, realTime);
+        // Compute the sample offset of the event in the block
+        var evtOffset = offset + Math.round((evt.time - prevTime) * sampleRate);
+        evtOffset = Math.max(0, Math.min(evtOffset, SYNTH_BUF_SIZE - 1));
+
+        this.target.processEvent(
+            evt,
+            realTime + (evtOffset - offset) / sampleRate,
+            evtOffset
+        );
     }
 };
 
@@ -380,6 +541,40 @@ SynthEvt.prototype.toString = function () {
     return SynthEvt.formatStr(this, 'event');
 };
 
+/**
+ Create an event from its JSON representation
+ */
+SynthEvt.fromJSON = function (obj) {
+    switch (obj.type) {
+        case 'note-on':
+            return new NoteOnEvt(obj.time, new Note(obj.note), obj.vel);
+
+        case 'note-off':
+            return new NoteOffEvt(obj.time, new Note(obj.note));
+
+        case 'all-notes-off':
+            return new AllNotesOffEvt(obj.time);
+
+        case 'start':
+            return new StartEvt(obj.time, obj.beatsPerMin);
+
+        case 'pitch-bend':
+            return new PitchBendEvt(obj.time, obj.bend);
+
+        case 'chan-pressure':
+            return new ChanPressureEvt(obj.time, obj.pressure);
+
+        case 'poly-aftertouch':
+            return new PolyAftertouchEvt(obj.time, new Note(obj.note), obj.pressure);
+
+        case 'control':
+            return new ControlEvt(obj.time, obj.ctrlNo, obj.value);
+
+        default:
+            error('invalid event type: ' + obj.type);
+    }
+};
+
 /**
  @class Note on event
  */
@@ -414,6 +609,18 @@ NoteOnEvt.prototype.toString = function () {
     return SynthEvt.formatStr(this, 'note-on ' + this.note);
 };
 
+/**
+ Get a JSON representation of the event
+ */
+NoteOnEvt.prototype.toJSON = function () {
+    return {
+        type: 'note-on',
+        time: this.time,
+        note: this.note.noteNo,
+        vel: this.vel
+    };
+};
+
 /**
  @class Note off event
  */
@@ -439,6 +646,17 @@ NoteOffEvt.prototype.toString = function () {
     return SynthEvt.formatStr(this, 'note-off ' + this.note);
 };
 
+/**
+ Get a JSON representation of the event
+ */
+NoteOffEvt.prototype.toJSON = function () {
+    return {
+        type: 'note-off',
+        time: this.time,
+        note: this.note.noteNo
+    };
+};
+
 /**
  @class All notes off event. Silences instruments.
  */
@@ -454,3 +672,211 @@ AllNotesOffEvt.prototype.toString = function () {
     return SynthEvt.formatStr(this, 'all notes off');
 };
 
+/**
+ Get a JSON representation of the event
+ */
+AllNotesOffEvt.prototype.toJSON = function () {
+    return {
+        type: 'all-notes-off',
+        time: this.time
+    };
+};
+
+
+/**
+ @class Playback start event. Carries the tempo of the piece, and lets
+ synthesis nodes reset their state, such as LFO phases.
+ */
+function StartEvt(time, beatsPerMin) {
+    /**
+     Tempo in beats per minute
+     */
+    this.beatsPerMin = beatsPerMin;
+
+    this.time = time;
+}
+StartEvt.prototype = new SynthEvt();
+
+/**
+ Default string representation for events
+ */
+StartEvt.prototype.toString = function () {
+    return SynthEvt.formatStr(this, 'start at ' + this.beatsPerMin + ' bpm');
+};
+
+/**
+ Get a JSON representation of the event
+ */
+StartEvt.prototype.toJSON = function () {
+    return {
+        type: 'start',
+        time: this.time,
+        beatsPerMin: this.beatsPerMin
+    };
+};
+
+/**
+ @class Pitch bend event
+ */
+function PitchBendEvt(time, bend) {
+    // By default, no bend
+    if (bend === undefined)
+        bend = 0;
+
+    /**
+     Bend amount [-1,1], scaled by the bend range of the instrument
+     */
+    this.bend = bend;
+
+    this.time = time;
+}
+PitchBendEvt.prototype = new SynthEvt();
+
+/**
+ Default string representation for events
+ */
+PitchBendEvt.prototype.toString = function () {
+    return SynthEvt.formatStr(this, 'pitch bend ' + this.bend.toFixed(2));
+};
+
+/**
+ Get a JSON representation of the event
+ */
+PitchBendEvt.prototype.toJSON = function () {
+    return {
+        type: 'pitch-bend',
+        time: this.time,
+        bend: this.bend
+    };
+};
+
+/**
+ @class Channel pressure event, the aftertouch of all notes
+ */
+function ChanPressureEvt(time, pressure) {
+    // By default, no pressure
+    if (pressure === undefined)
+        pressure = 0;
+
+    /**
+     Pressure [0,1]
+     */
+    this.pressure = pressure;
+
+    this.time = time;
+}
+ChanPressureEvt.prototype = new SynthEvt();
+
+/**
+ Default string representation for events
+ */
+ChanPressureEvt.prototype.toString = function () {
+    return SynthEvt.formatStr(this, 'channel pressure ' + this.pressure.toFixed(2));
+};
+
+/**
+ Get a JSON representation of the event
+ */
+ChanPressureEvt.prototype.toJSON = function () {
+    return {
+        type: 'chan-pressure',
+        time: this.time,
+        pressure: this.pressure
+    };
+};
+
+/**
+ @class Polyphonic aftertouch event, the pressure on a single note
+ */
+function PolyAftertouchEvt(time, note, pressure) {
+    // By default, use the C4 note
+    if (note === undefined)
+        note = new Note(C4_NOTE_NO);
+
+    // By default, no pressure
+    if (pressure === undefined)
+        pressure = 0;
+
+    /**
+     Note
+     */
+    this.note = note;
+
+    /**
+     Pressure [0,1]
+     */
+    this.pressure = pressure;
+
+    this.time = time;
+}
+PolyAftertouchEvt.prototype = new SynthEvt();
+
+/**
+ Default string representation for events
+ */
+PolyAftertouchEvt.prototype.toString = function () {
+    return SynthEvt.formatStr(
+        this,
+        'aftertouch ' + this.note + ' ' + this.pressure.toFixed(2)
+    );
+};
+
+/**
+ Get a JSON representation of the event
+ */
+PolyAftertouchEvt.prototype.toJSON = function () {
+    return {
+        type: 'poly-aftertouch',
+        time: this.time,
+        note: this.note.noteNo,
+        pressure: this.pressure
+    };
+};
+
+/**
+ Controller numbers, following the MIDI assignments
+ */
+var CTRL_MOD_WHEEL = 1;
+var CTRL_VOLUME = 7;
+var CTRL_PAN = 10;
+var CTRL_EXPRESSION = 11;
+
+/**
+ @class Controller change event, such as the modulation wheel
+ */
+function ControlEvt(time, ctrlNo, value) {
+    /**
+     Controller number, see the CTRL_* constants
+     */
+    this.ctrlNo = ctrlNo;
+
+    /**
+     Controller value [0,1]
+     */
+    this.value = value;
+
+    this.time = time;
+}
+ControlEvt.prototype = new SynthEvt();
+
+/**
+ Default string representation for events
+ */
+ControlEvt.prototype.toString = function () {
+    return SynthEvt.formatStr(
+        this,
+        'control ' + this.ctrlNo + ' ' + this.value.toFixed(2)
+    );
+};
+
+/**
+ Get a JSON representation of the event
+ */
+ControlEvt.prototype.toJSON = function () {
+    return {
+        type: 'control',
+        time: this.time,
+        ctrlNo: this.ctrlNo,
+        value: this.value
+    };
+};
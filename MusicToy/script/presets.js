@@ -0,0 +1,471 @@
+//============================================================================
+// VAnalog preset bank
+//============================================================================
+
+/**
+ Name of the preset used by the default lead instrument
+ */
+var DEFAULT_LEAD_PRESET = 'Trance Lead';
+
+/**
+ Built-in presets, created on first use
+ */
+var builtinPresets = undefined;
+
+/**
+ Create a preset by configuring a virtual analog synth
+ @param setup function setting up the synth passed to it
+ */
+function makePreset(name, category, numOscs, setup) {
+    var synth = new VAnalog(numOscs);
+
+    setup(synth);
+
+    return synth.getPreset(name, category);
+}
+
+/**
+ Get the list of built-in presets
+ */
+function getBuiltinPresets() {
+    if (builtinPresets !== undefined)
+        return builtinPresets;
+
+    builtinPresets = [];
+
+    builtinPresets.push(makePreset('Trance Lead', 'lead', 2, function (synth) {
+        synth.oscs[0].type = 'pulse';
+        synth.oscs[0].duty = 0.5;
+        synth.oscs[0].detune = -1195;
+        synth.oscs[0].volume = 1;
+
+        synth.oscs[1].type = 'pulse';
+        synth.oscs[1].duty = 0.5;
+        synth.oscs[1].detune = -1205;
+        synth.oscs[1].volume = 1;
+
+        synth.oscs[0].env = new ADSREnv(0, 0.1, 0, 0);
+        synth.oscs[1].env = synth.oscs[0].env;
+
+        synth.cutoff.value = 0.3;
+        synth.resonance.value = 0;
+
+        synth.filterEnv = new ADSREnv(0, 0.2, 0, 0);
+        synth.filterEnvAmt.value = 0.85;
+    }));
+
+    builtinPresets.push(makePreset('Saw Lead', 'lead', 2, function (synth) {
+        synth.oscs[0].type = 'sawtooth';
+        synth.oscs[0].detune = -1200;
+        synth.oscs[0].unison = 3;
+        synth.oscs[0].unisonDetune = 20;
+        synth.oscs[0].volume = 0.6;
+
+        synth.oscs[1].type = 'pulse';
+        synth.oscs[1].duty = 0.3;
+        synth.oscs[1].detune = -2400;
+        synth.oscs[1].volume = 0.4;
+
+        synth.oscs[0].env = new ADSREnv(0.01, 0.2, 0.7, 0.2);
+        synth.oscs[1].env = synth.oscs[0].env;
+
+        synth.cutoff.value = 0.55;
+        synth.resonance.value = 0.2;
+
+        synth.filterEnv = new ADSREnv(0, 0.3, 0, 0.2);
+        synth.filterEnvAmt.value = 0.4;
+        synth.keyTrack = 0.5;
+    }));
+
+    builtinPresets.push(makePreset('Sync Lead', 'lead', 1, function (synth) {
+        synth.oscs[0].type = 'sawtooth';
+        synth.oscs[0].sync = true;
+        synth.oscs[0].detune = -700;
+        synth.oscs[0].syncDetune = -1200;
+        synth.oscs[0].env = new ADSREnv(0.005, 0.3, 0.6, 0.15);
+
+        synth.cutoff.value = 0.7;
+        synth.filterEnvAmt.value = 0;
+
+        // Sweep the synced oscillator down to the sync pitch
+        synth.pitchEnv = new ADSREnv(0, 0.4, 0, 0);
+        synth.pitchEnvAmt.value = 1200;
+
+        synth.mono = true;
+        synth.glideTime = 0.03;
+    }));
+
+    builtinPresets.push(makePreset('Sub Bass', 'bass', 2, function (synth) {
+        synth.oscs[0].type = 'sine';
+        synth.oscs[0].detune = -2400;
+        synth.oscs[0].volume = 1;
+
+        synth.oscs[1].type = 'triangle';
+        synth.oscs[1].detune = -1200;
+        synth.oscs[1].volume = 0.3;
+
+        synth.oscs[0].env = new ADSREnv(0.005, 0.2, 0.8, 0.1);
+        synth.oscs[1].env = synth.oscs[0].env;
+
+        synth.cutoff.value = 0.5;
+        synth.filterEnvAmt.value = 0;
+    }));
+
+    builtinPresets.push(makePreset('Acid Bass', 'bass', 1, function (synth) {
+        synth.oscs[0].type = 'sawtooth';
+        synth.oscs[0].detune = -2400;
+        synth.oscs[0].env = new ADSREnv(0, 0.3, 0.6, 0.05);
+
+        synth.cutoff.value = 0.2;
+        synth.resonance.value = 0.8;
+        synth.filterSlope = 24;
+
+        synth.filterEnv = new ADSREnv(0, 0.25, 0, 0);
+        synth.filterEnvAmt.value = 0.6;
+        synth.velToCutoff = 0.2;
+
+        synth.mono = true;
+        synth.glideTime = 0.05;
+    }));
+
+    builtinPresets.push(makePreset('Warm Pad', 'pad', 2, function (synth) {
+        synth.oscs[0].type = 'sawtooth';
+        synth.oscs[0].detune = -1207;
+        synth.oscs[0].unison = 4;
+        synth.oscs[0].unisonDetune = 25;
+        synth.oscs[0].unisonSpread = 1;
+        synth.oscs[0].volume = 0.5;
+
+        synth.oscs[1].type = 'sawtooth';
+        synth.oscs[1].detune = -1193;
+        synth.oscs[1].unison = 4;
+        synth.oscs[1].unisonDetune = 25;
+        synth.oscs[1].unisonSpread = 1;
+        synth.oscs[1].volume = 0.5;
+
+        synth.oscs[0].env = new ADSREnv(0.4, 0.5, 0.8, 0.8);
+        synth.oscs[1].env = synth.oscs[0].env;
+
+        synth.cutoff.value = 0.45;
+
+        synth.filterEnv = new ADSREnv(0.8, 0.5, 0.5, 0.8);
+        synth.filterEnvAmt.value = 0.2;
+    }));
+
+    builtinPresets.push(makePreset('Pluck', 'pluck', 2, function (synth) {
+        synth.oscs[0].type = 'pulse';
+        synth.oscs[0].duty = 0.3;
+        synth.oscs[0].detune = -1200;
+        synth.oscs[0].volume = 0.7;
+
+        synth.oscs[1].type = 'triangle';
+        synth.oscs[1].volume = 0.4;
+
+        synth.oscs[0].env = new ADSREnv(0, 0.25, 0, 0.1);
+        synth.oscs[1].env = synth.oscs[0].env;
+
+        synth.cutoff.value = 0.25;
+
+        synth.filterEnv = new ADSREnv(0, 0.15, 0, 0);
+        synth.filterEnvAmt.value = 0.8;
+        synth.velToCutoff = 0.2;
+        synth.keyTrack = 0.5;
+    }));
+
+    builtinPresets.push(makePreset('FM Bell', 'pluck', 2, function (synth) {
+        // Modulator at 3.5 times the carrier frequency, not heard
+        synth.oscs[0].type = 'sine';
+        synth.oscs[0].detune = 2169;
+        synth.oscs[0].volume = 0;
+        synth.oscs[0].env = new ADSREnv(0, 0, 1, 1);
+
+        synth.oscs[1].type = 'sine';
+        synth.oscs[1].modSrc = 0;
+        synth.oscs[1].modMode = 'pm';
+        synth.oscs[1].modIndex = 3;
+        synth.oscs[1].modEnv = new ADSREnv(0, 1.5, 0, 1);
+        synth.oscs[1].env = new ADSREnv(0, 2, 0, 1);
+
+        synth.cutoff.value = 1;
+        synth.filterEnvAmt.value = 0;
+    }));
+
+    return builtinPresets;
+}
+
+/**
+ Find a built-in or stored preset by name
+ */
+function findPreset(name) {
+    var presets = getPresetList();
+
+    for (var i = 0; i < presets.length; ++i)
+        if (presets[i].name === name)
+            return presets[i];
+
+    return undefined;
+}
+
+/**
+ Allowed values of the preset settings chosen from a list
+ */
+var PRESET_SYNTH_CHOICES = {
+    filterMode: ['lowpass', 'highpass', 'bandpass', 'notch'],
+    filterSlope: [12, 24],
+    stealMode: ['oldest', 'quietest', 'priority'],
+    notePriority: ['last', 'low', 'high'],
+    velCurve: VANALOG_VEL_CURVES
+};
+
+/**
+ Allowed values of the oscillator settings chosen from a list
+ */
+var PRESET_OSC_CHOICES = {
+    type: [
+        'sine', 'triangle', 'sawtooth', 'pulse', 'noise',
+        'pink-noise', 'brown-noise', 'wavetable'
+    ],
+    modMode: ['fm', 'pm', 'ring']
+};
+
+/**
+ Numeric preset settings. The ones not listed as optional
+ must be present.
+ */
+var PRESET_SYNTH_NUMBERS = [
+    'cutoff', 'resonance', 'filterEnvAmt', 'pitch', 'pitchEnvAmt'
+];
+var PRESET_SYNTH_OPT_NUMBERS = [
+    'keyTrack', 'maxVoices', 'glideTime', 'velToCutoff', 'velToAttack',
+    'bendRange', 'modWheelToCutoff', 'pressureToCutoff', 'wavePos',
+    'waveEnvAmt'
+];
+
+/**
+ Numeric oscillator settings. The ones not listed as optional
+ must be present.
+ */
+var PRESET_OSC_NUMBERS = [
+    'duty', 'detune', 'volume', 'syncDetune'
+];
+var PRESET_OSC_OPT_NUMBERS = [
+    'unison', 'unisonDetune', 'unisonSpread', 'modSrc', 'modIndex'
+];
+
+/**
+ Test if an object decoded from outside the page, from the URL or
+ local storage, is a usable preset. The settings only checked while
+ playing are checked here, so that a bad preset can't stop the audio.
+ */
+function isValidPreset(preset) {
+    // Test if the listed fields of an object hold finite numbers
+    function hasNumbers(obj, names, optional) {
+        for (var i = 0; i < names.length; ++i) {
+            var val = obj[names[i]];
+
+            if (optional && val === undefined)
+                continue;
+
+            if (typeof val !== 'number' || !isFinite(val))
+                return false;
+        }
+
+        return true;
+    }
+
+    // Test if the fields of an object have one of their allowed values
+    function hasChoices(obj, choices) {
+        for (var name in choices) {
+            if (obj[name] !== undefined && choices[name].indexOf(obj[name]) === -1)
+                return false;
+        }
+
+        return true;
+    }
+
+    if (typeof preset !== 'object' || preset === null)
+        return false;
+
+    if (typeof preset.name !== 'string')
+        return false;
+
+    var synth = preset.synth;
+    if (typeof synth !== 'object' || synth === null)
+        return false;
+
+    if (!(synth.oscs instanceof Array) || synth.oscs.length === 0)
+        return false;
+
+    if (!hasNumbers(synth, PRESET_SYNTH_NUMBERS, false) ||
+        !hasNumbers(synth, PRESET_SYNTH_OPT_NUMBERS, true) ||
+        !hasChoices(synth, PRESET_SYNTH_CHOICES))
+        return false;
+
+    // The filter asserts its cutoff and resonance are in [0,1]
+    if (synth.cutoff < 0 || synth.cutoff > 1 ||
+        synth.resonance < 0 || synth.resonance > 1)
+        return false;
+
+    if (synth.maxVoices !== undefined && synth.maxVoices < 1)
+        return false;
+
+    for (var i = 0; i < synth.oscs.length; ++i) {
+        var osc = synth.oscs[i];
+
+        if (typeof osc !== 'object' || osc === null)
+            return false;
+
+        if (!hasNumbers(osc, PRESET_OSC_NUMBERS, false) ||
+            !hasNumbers(osc, PRESET_OSC_OPT_NUMBERS, true) ||
+            !hasChoices(osc, PRESET_OSC_CHOICES))
+            return false;
+
+        // The oscillator type must be given
+        if (osc.type === undefined)
+            return false;
+
+        if (osc.type === 'wavetable' && osc.wavetable === undefined)
+            return false;
+
+        if (osc.unison !== undefined && osc.unison < 1)
+            return false;
+    }
+
+    // Check that a synth can be created from the settings
+    try {
+        VAnalog.fromJSON(synth);
+    }
+
+    catch (e) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ Get the list of all presets, the built-in ones followed
+ by those stored by the user
+ */
+function getPresetList() {
+    return getBuiltinPresets().concat(loadUserPresets());
+}
+
+//============================================================================
+// Preset storage
+//============================================================================
+
+/**
+ Local storage key for the user presets
+ */
+var PRESET_STORAGE_KEY = 'musictoy-presets';
+
+/**
+ Load the presets stored by the user. Local storage is only
+ available on the page.
+ */
+function loadUserPresets() {
+    if (typeof localStorage === 'undefined')
+        return [];
+
+    var presetsStr = localStorage.getItem(PRESET_STORAGE_KEY);
+    if (presetsStr === null)
+        return [];
+
+    try {
+        var presets = JSON.parse(presetsStr);
+    }
+
+    catch (e) {
+        console.error('invalid stored presets');
+        return [];
+    }
+
+    if (!(presets instanceof Array)) {
+        console.error('invalid stored presets');
+        return [];
+    }
+
+    // Skip the stored presets that can't be used
+    return presets.filter(function (preset) {
+        if (isValidPreset(preset))
+            return true;
+
+        console.error('invalid stored preset');
+        return false;
+    });
+}
+
+/**
+ Store a preset for the user, replacing any stored preset
+ having the same name
+ */
+function storeUserPreset(preset) {
+    assert(
+        typeof localStorage !== 'undefined',
+        'local storage unavailable'
+    );
+
+    var presets = loadUserPresets().filter(function (p) {
+        return p.name !== preset.name;
+    });
+
+    presets.push(preset);
+
+    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+}
+
+/**
+ Encode a preset for the share URL. Built-in presets are stored by name,
+ other presets with all their settings.
+ */
+function encodePreset(preset) {
+    if (getBuiltinPresets().indexOf(preset) !== -1)
+        return 'preset=' + encodeURIComponent(preset.name);
+
+    return 'patch=' + encodeURIComponent(JSON.stringify(preset));
+}
+
+/**
+ Decode a preset from the share URL
+ @returns the preset, or undefined if it can't be decoded
+ */
+function decodePreset(str) {
+    var sepIdx = str.indexOf('=');
+    var key = str.substr(0, sepIdx);
+
+    // Malformed escape sequences can't be decoded
+    try {
+        var value = decodeURIComponent(str.substr(sepIdx + 1));
+    }
+
+    catch (e) {
+        console.error('invalid preset in URL');
+        return undefined;
+    }
+
+    switch (key) {
+        case 'preset':
+            return findPreset(value);
+
+        case 'patch':
+            try {
+                var preset = JSON.parse(value);
+            }
+
+            catch (e) {
+                console.error('invalid preset in URL');
+                return undefined;
+            }
+
+            if (!isValidPreset(preset)) {
+                console.error('invalid preset in URL');
+                return undefined;
+            }
+
+            return preset;
+
+        default:
+            return undefined;
+    }
+}
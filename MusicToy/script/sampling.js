@@ -1,6 +1,11 @@
 /** @class Loads a sample asynchronously from a URL
  */
 function Sample(url) {
+    /**
+     URL the sample was loaded from
+     */
+    this.url = url;
+
     /**
      Audio data buffer, undefined until loaded
      */
@@ -8,11 +13,22 @@ function Sample(url) {
 
     console.log('loading sample "' + url + '"');
 
+    var that = this;
+    Sample.loadData(url, function (buffer) {
+        that.buffer = buffer;
+    });
+}
+
+/**
+ Load the audio data for a sample, then call the callback with a
+ Float64Array of sample values. This can be replaced where XHR and
+ the Web Audio API are unavailable, such as inside the audio worklet.
+ */
+Sample.loadData = function (url, callback) {
     var xhr = new XMLHttpRequest();
     xhr.open("GET", url, true);
     xhr.responseType = "arraybuffer";
 
-    var that = this;
     xhr.onload = function () {
         try {
             audioCtx.decodeAudioData(
@@ -23,7 +39,7 @@ function Sample(url) {
                     for (var i = 0; i < f32buffer.length; ++i)
                         f64buffer[i] = f32buffer[i];
 
-                    that.buffer = f64buffer;
+                    callback(f64buffer);
                 }
             );
         }
@@ -37,7 +53,7 @@ function Sample(url) {
     };
 
     xhr.send();
-}
+};
 
 /**
  @class Basic sample-mapping instrument
@@ -80,10 +96,54 @@ SampleKit.prototype.mapSample = function (note, sample, volume) {
     }
 };
 
+/**
+ Get a JSON representation of the node
+ */
+SampleKit.prototype.toJSON = function () {
+    var mappings = [];
+    for (var noteNo = 0; noteNo < this.samples.length; ++noteNo) {
+        var sample = this.samples[noteNo];
+
+        if (sample === undefined)
+            continue;
+
+        mappings.push({
+            note: noteNo,
+            url: sample.data.url,
+            volume: sample.volume
+        });
+    }
+
+    return {
+        type: 'sample-kit',
+        name: this.name,
+        samples: mappings
+    };
+};
+
+/**
+ Create a sample kit from its JSON representation
+ */
+SampleKit.fromJSON = function (obj) {
+    var node = new SampleKit();
+
+    for (var i = 0; i < obj.samples.length; ++i) {
+        var mapping = obj.samples[i];
+
+        node.mapSample(
+            new Note(mapping.note),
+            mapping.url,
+            mapping.volume
+        );
+    }
+
+    return node;
+};
+
 /**
  Process an event
  */
-SampleKit.prototype.processEvent = function (evt, time) {
+SampleKit.prototype.processEvent = function (evt, time, offset) {
     // Note-on event
     if (evt instanceof NoteOnEvt) {
         // Get the note
@@ -99,10 +159,12 @@ SampleKit.prototype.processEvent = function (evt, time) {
         if (sample.data.buffer === undefined)
             return;
 
-        // Add a new instance to the active list
+        // Add a new instance to the active list, starting
+        // at the event's offset in the next block
         this.actSamples.push({
             sample: sample,
-            pos: 0
+            pos: 0,
+            delay: offset || 0
         });
     }
 
@@ -142,10 +204,14 @@ SampleKit.prototype.update = function (time, sampleRate) {
             'invalid input buffer'
         );
 
-        var playLen = Math.min(outBuf.length, inBuf.length - actSample.pos);
+        // Skip the samples before the instance starts
+        var delay = actSample.delay;
+        actSample.delay = 0;
+
+        var playLen = Math.min(outBuf.length - delay, inBuf.length - actSample.pos);
 
         for (var outIdx = 0; outIdx < playLen; ++outIdx)
-            outBuf[outIdx] += inBuf[actSample.pos + outIdx] * volume;
+            outBuf[delay + outIdx] += inBuf[actSample.pos + outIdx] * volume;
 
         actSample.pos += playLen;
 
@@ -184,7 +250,47 @@ function SampleInstr(sample, centerNote) {
      */
     this.actNotes = [];
 
-    // TODO: loop points
+    /**
+     Pitch bend range in cents, reached at full bend
+     */
+    this.bendRange = 200;
+
+    /**
+     Current pitch bend [-1,1]
+     */
+    this.pitchBend = 0;
+
+    /**
+     Volume set by the volume controller [0,1]
+     */
+    this.ctrlVolume = 1;
+
+    /**
+     Loop mode: none, forward or ping-pong
+     */
+    this.loopMode = 'none';
+
+    /**
+     Loop start position, in sample frames
+     */
+    this.loopStart = 0;
+
+    /**
+     Loop end position, in sample frames, past the last looped frame
+     */
+    this.loopEnd = 0;
+
+    /**
+     Sustain loop flag. A sustain loop only repeats while the note is
+     held, playback continues to the end of the sample after the note-off.
+     */
+    this.sustainLoop = false;
+
+    /**
+     Amplitude envelope. By default, the sample plays to its end. Looping
+     outside of a sustain loop, it fades out quickly after the note-off.
+     */
+    this.env = new ADSREnv(0, 0, 1, Infinity);
 
     // Sound output
     new SynthOutput(this, 'output');
@@ -193,10 +299,54 @@ function SampleInstr(sample, centerNote) {
 }
 SampleInstr.prototype = new SynthNode();
 
+/**
+ Get a JSON representation of the node
+ */
+SampleInstr.prototype.toJSON = function () {
+    return {
+        type: 'sample-instr',
+        name: this.name,
+        url: this.sample.url,
+        centerNote: this.centerNote.noteNo,
+        bendRange: this.bendRange,
+        loopMode: this.loopMode,
+        loopStart: this.loopStart,
+        loopEnd: this.loopEnd,
+        sustainLoop: this.sustainLoop,
+        env: this.env.toJSON()
+    };
+};
+
+/**
+ Create a sample instrument from its JSON representation
+ */
+SampleInstr.fromJSON = function (obj) {
+    var node = new SampleInstr(obj.url, new Note(obj.centerNote));
+
+    if (obj.bendRange !== undefined)
+        node.bendRange = obj.bendRange;
+
+    if (obj.loopMode !== undefined) {
+        // The loop mode is checked here, rather than for each block played
+        assert(
+            SAMPLE_LOOP_MODES.indexOf(obj.loopMode) !== -1,
+            'invalid loop mode: ' + obj.loopMode
+        );
+
+        node.loopMode = obj.loopMode;
+        node.loopStart = obj.loopStart;
+        node.loopEnd = obj.loopEnd;
+        node.sustainLoop = obj.sustainLoop;
+        node.env = Envelope.fromJSON(obj.env);
+    }
+
+    return node;
+};
+
 /**
  Process an event
  */
-SampleInstr.prototype.processEvent = function (evt, time) {
+SampleInstr.prototype.processEvent = function (evt, time, offset) {
     // Note-on event
     if (evt instanceof NoteOnEvt) {
         // If the sample is not yet loaded, stop
@@ -210,19 +360,25 @@ SampleInstr.prototype.processEvent = function (evt, time) {
         var noteFreq = note.getFreq();
         var freqRatio = noteFreq / centerFreq;
 
-        // Add an entry to the active note list
+        // Add an entry to the active note list, starting
+        // at the event's offset in the next block
         this.actNotes.push({
+            note: note,
+            loop: this,
+            env: this.env,
             pos: 0,
-            freqRatio: freqRatio
+            dir: 1,
+            delay: offset || 0,
+            freqRatio: freqRatio,
+            onTime: time,
+            offTime: 0,
+            offAmp: 0
         });
     }
 
     // Note-off event
-    if (evt instanceof NoteOffEvt) {
-        // Get the note
-        var note = evt.note;
-
-        // TODO: loop points
+    else if (evt instanceof NoteOffEvt) {
+        releaseSampleVoices(this.actNotes, evt.note, time);
     }
 
     // All notes off event
@@ -230,61 +386,554 @@ SampleInstr.prototype.processEvent = function (evt, time) {
         this.actNotes = [];
     }
 
+    // Pitch bend event
+    else if (evt instanceof PitchBendEvt) {
+        this.pitchBend = evt.bend;
+    }
+
+    // Volume controller change event
+    else if (evt instanceof ControlEvt && evt.ctrlNo === CTRL_VOLUME) {
+        this.ctrlVolume = evt.value;
+    }
+
+    // Playback start event, reset the controllers
+    else if (evt instanceof StartEvt) {
+        this.pitchBend = 0;
+        this.ctrlVolume = 1;
+    }
+
     // By default, do nothing
 };
 
+/**
+ Release time of the voices looping outside of a sustain loop whose
+ envelope never ends after the note-off, in seconds
+ */
+var SAMPLE_LOOP_RELEASE = 0.05;
+
+/**
+ Release the sample voices playing a given note, starting the release
+ stage of their amplitude envelope
+ */
+function releaseSampleVoices(voices, note, time) {
+    for (var i = 0; i < voices.length; ++i) {
+        var voice = voices[i];
+
+        if (voice.note.noteNo !== note.noteNo || voice.offTime !== 0)
+            continue;
+
+        voice.offAmp = voice.env.getValue(time, voice.onTime, voice.offTime, 0, 0);
+        voice.offTime = time;
+
+        // Leaving a sustain loop, play forward to the end of the sample
+        if (voice.loop.sustainLoop)
+            voice.dir = 1;
+
+        // Outside of a sustain loop, a looping voice never reaches the end
+        // of the sample. If its envelope never ends either, fade it out.
+        else if (voice.loop.loopMode !== 'none' &&
+                 !isFinite(voice.env.getReleaseTime()))
+            voice.env = new ADSREnv(0, 0, 1, SAMPLE_LOOP_RELEASE);
+    }
+}
+
+/**
+ Loop modes of the sample instruments and zones
+ */
+var SAMPLE_LOOP_MODES = ['none', 'forward', 'ping-pong'];
+
+/**
+ Generate a block of output for a voice playing a sample, following
+ the loop points and the voice's amplitude envelope. The loop settings
+ (loopMode, loopStart, loopEnd and sustainLoop) come from the voice's
+ loop object, the instrument or the zone the sample belongs to.
+ @param disp displacement in the sample for each output sample
+ @returns true once the voice is done playing
+ */
+function genSampleVoice(outBuf, voice, inBuf, time, sampleRate, disp, volume) {
+    var loop = voice.loop;
+    var env = voice.env;
+
+    // Get the loop points, within the sample
+    var loopStart = Math.max(0, loop.loopStart);
+    var loopEnd = Math.min(loop.loopEnd, inBuf.length - 1);
+    var hasLoop = loop.loopMode !== 'none' && loopEnd > loopStart;
+    var pingPong = loop.loopMode === 'ping-pong';
+
+    var pos = voice.pos;
+    var dir = voice.dir;
+
+    // The loop repeats until the note-off, for a sustain loop
+    var looping = hasLoop && !(loop.sustainLoop && voice.offTime !== 0);
+
+    // Flag indicating the voice is done playing
+    var done = false;
+
+    // Skip the samples before the voice starts
+    var delay = voice.delay;
+    voice.delay = 0;
+
+    // For each output sample to produce
+    for (var outIdx = delay; outIdx < outBuf.length; ++outIdx) {
+        var lIdx = Math.floor(pos);
+        var rIdx = lIdx + 1;
+
+        // In a forward loop, interpolate towards the loop start
+        if (looping && !pingPong && rIdx >= loopEnd)
+            rIdx = loopStart + (rIdx - loopEnd);
+
+        // Stop past either end of the sample
+        if (pos < 0 || rIdx >= inBuf.length) {
+            done = true;
+            break;
+        }
+
+        var smpTime = time + outIdx / sampleRate;
+
+        // Stop once the envelope release is complete
+        if (voice.offTime !== 0 &&
+            env.isDone(smpTime, voice.onTime, voice.offTime)) {
+            done = true;
+            break;
+        }
+
+        var amp = volume * env.getValue(
+            smpTime,
+            voice.onTime,
+            voice.offTime,
+            0,
+            voice.offAmp
+        );
+
+        var frac = pos - lIdx;
+        var lVal = inBuf[lIdx];
+        var rVal = inBuf[rIdx];
+        outBuf[outIdx] += amp * (lVal * (1 - frac) + rVal * frac);
+
+        // Update the sample position
+        pos += dir * disp;
+
+        // Wrap around or reflect at the loop points
+        if (looping) {
+            if (dir > 0 && pos >= loopEnd) {
+                if (pingPong) {
+                    pos = 2 * loopEnd - pos;
+                    dir = -1;
+                }
+                else {
+                    pos = loopStart + (pos - loopStart) % (loopEnd - loopStart);
+                }
+            }
+            else if (dir < 0 && pos <= loopStart) {
+                pos = 2 * loopStart - pos;
+                dir = 1;
+            }
+        }
+    }
+
+    // Store the final sample position and direction
+    voice.pos = pos;
+    voice.dir = dir;
+
+    return done;
+}
+
 /**
  Update the outputs based on the inputs
  */
 SampleInstr.prototype.update = function (time, sampleRate) {
-    // If there are no active notes, do nothing
-    if (this.actNotes.length === 0)
-        return;
-
     // Get the output buffer
     var outBuf = this.output.getBuffer(0);
 
-    // Initialize the output to 0
+    // Initialize the output to 0, so that no stale block
+    // remains once the last note is done
     for (var i = 0; i < outBuf.length; ++i)
         outBuf[i] = 0;
 
+    // If there are no active notes, stop
+    if (this.actNotes.length === 0)
+        return;
+
     // Get the sample buffer
     var inBuf = this.sample.buffer;
 
+    // Get the pitch bend frequency ratio
+    var bendRatio = Math.pow(2, this.pitchBend * this.bendRange / CENTS_PER_OCTAVE);
+
     // For each active note
     for (var i = 0; i < this.actNotes.length; ++i) {
         var actNote = this.actNotes[i];
 
-        // Compute the displacement between sample points
-        var disp = actNote.freqRatio;
+        var done = genSampleVoice(
+            outBuf,
+            actNote,
+            inBuf,
+            time,
+            sampleRate,
+            actNote.freqRatio * bendRatio,
+            this.ctrlVolume
+        );
+
+        // If the note is done playing
+        if (done) {
+            // Remove the note from the active list
+            this.actNotes.splice(i, 1);
+            --i;
+        }
+    }
+};
+
+/**
+ @class Sample mapped to a range of keys and velocities, part of a
+ multi-sample instrument
+ */
+function SampleZone(sample, rootNote) {
+    if (typeof sample === 'string')
+        sample = new Sample(sample);
+
+    if (typeof rootNote === 'string')
+        rootNote = new Note(rootNote);
+
+    /**
+     Sample played by this zone
+     */
+    this.sample = sample;
+
+    /**
+     Note at which the sample plays at its recorded pitch
+     */
+    this.rootNote = rootNote;
+
+    /**
+     Fine tuning in cents
+     */
+    this.tune = 0;
+
+    /**
+     Volume of the zone
+     */
+    this.volume = 1;
+
+    /**
+     Lowest and highest note numbers mapped to this zone, inclusively
+     */
+    this.loKey = 0;
+    this.hiKey = NUM_NOTES - 1;
+
+    /**
+     Lowest and highest velocities mapped to this zone, inclusively
+     */
+    this.loVel = 0;
+    this.hiVel = 1;
+
+    /**
+     Round-robin sequence length and position of this zone in the sequence,
+     starting at 1. Repeated notes cycle through the zones of a sequence.
+     */
+    this.seqLength = 1;
+    this.seqPos = 1;
+
+    /**
+     Loop mode and loop points, as for the sample instrument
+     */
+    this.loopMode = 'none';
+    this.loopStart = 0;
+    this.loopEnd = 0;
+    this.sustainLoop = false;
+
+    /**
+     Amplitude envelope of the zone. If undefined, the zone uses
+     the envelope of its instrument.
+     */
+    this.env = undefined;
+}
+
+/**
+ Test if the zone is mapped to a given note and velocity
+ */
+SampleZone.prototype.matches = function (noteNo, vel) {
+    // Velocities are matched in MIDI steps, so that adjacent
+    // layers leave no gap and don't overlap
+    function midiVel(vel) {
+        return Math.round(vel * 127);
+    }
+
+    return (
+        noteNo >= this.loKey && noteNo <= this.hiKey &&
+        midiVel(vel) >= midiVel(this.loVel) &&
+        midiVel(vel) <= midiVel(this.hiVel)
+    );
+};
+
+/**
+ Get a JSON representation of the zone
+ */
+SampleZone.prototype.toJSON = function () {
+    return {
+        url: this.sample.url,
+        rootNote: this.rootNote.noteNo,
+        tune: this.tune,
+        volume: this.volume,
+        loKey: this.loKey,
+        hiKey: this.hiKey,
+        loVel: this.loVel,
+        hiVel: this.hiVel,
+        seqLength: this.seqLength,
+        seqPos: this.seqPos,
+        loopMode: this.loopMode,
+        loopStart: this.loopStart,
+        loopEnd: this.loopEnd,
+        sustainLoop: this.sustainLoop,
+        env: (this.env !== undefined) ? this.env.toJSON() : undefined
+    };
+};
+
+/**
+ Create a zone from its JSON representation
+ */
+SampleZone.fromJSON = function (obj) {
+    var zone = new SampleZone(obj.url, new Note(obj.rootNote));
+
+    zone.tune = obj.tune;
+    zone.volume = obj.volume;
+    zone.loKey = obj.loKey;
+    zone.hiKey = obj.hiKey;
+    zone.loVel = obj.loVel;
+    zone.hiVel = obj.hiVel;
+    zone.seqLength = obj.seqLength;
+    zone.seqPos = obj.seqPos;
+
+    assert(
+        SAMPLE_LOOP_MODES.indexOf(obj.loopMode) !== -1,
+        'invalid loop mode: ' + obj.loopMode
+    );
+
+    zone.loopMode = obj.loopMode;
+    zone.loopStart = obj.loopStart;
+    zone.loopEnd = obj.loopEnd;
+    zone.sustainLoop = obj.sustainLoop;
+
+    if (obj.env !== undefined)
+        zone.env = Envelope.fromJSON(obj.env);
+
+    return zone;
+};
+
+/**
+ @class Instrument mapping many samples to key ranges and velocity layers
+ @extends SynthNode
+ */
+function MultiSampleInstr() {
+    /**
+     List of sample zones. A note plays every zone it matches.
+     */
+    this.zones = [];
+
+    /**
+     Velocity tracking amount [0,1]. At 0, the velocity only selects
+     the zones and does not change the volume.
+     */
+    this.velTrack = 1;
+
+    /**
+     Amplitude envelope, for the zones not having their own
+     */
+    this.env = new ADSREnv(0, 0, 1, Infinity);
+
+    /**
+     Pitch bend range in cents, reached at full bend
+     */
+    this.bendRange = 200;
+
+    /**
+     Current pitch bend [-1,1]
+     */
+    this.pitchBend = 0;
+
+    /**
+     Volume set by the volume controller [0,1]
+     */
+    this.ctrlVolume = 1;
+
+    /**
+     Count of the note-ons matching each zone, indexed like the zones.
+     The zones of a round-robin sequence have the same key and velocity
+     ranges, so their counts advance together.
+     */
+    this.rrCounts = [];
+
+    /**
+     List of active voices, one per zone played
+     */
+    this.actNotes = [];
+
+    // Sound output
+    new SynthOutput(this, 'output');
+
+    this.name = 'multi-sample-instr';
+}
+MultiSampleInstr.prototype = new SynthNode();
+
+/**
+ Add a zone playing a sample
+ @returns the new zone, so its ranges and settings can be changed
+ */
+MultiSampleInstr.prototype.addZone = function (sample, rootNote) {
+    var zone = new SampleZone(sample, rootNote);
+
+    this.zones.push(zone);
+
+    return zone;
+};
 
-        var pos = actNote.pos;
+/**
+ Get a JSON representation of the node
+ */
+MultiSampleInstr.prototype.toJSON = function () {
+    return {
+        type: 'multi-sample-instr',
+        name: this.name,
+        zones: this.zones.map(function (zone) {
+            return zone.toJSON();
+        }),
+        velTrack: this.velTrack,
+        env: this.env.toJSON(),
+        bendRange: this.bendRange
+    };
+};
 
-        // For each output sample to produce
-        for (var outIdx = 0; outIdx < outBuf.length; ++outIdx) {
-            var lIdx = Math.floor(pos);
-            var rIdx = lIdx + 1;
+/**
+ Create a multi-sample instrument from its JSON representation
+ */
+MultiSampleInstr.fromJSON = function (obj) {
+    var node = new MultiSampleInstr();
 
-            if (rIdx >= inBuf.length)
-                break;
+    node.zones = obj.zones.map(SampleZone.fromJSON);
+    node.velTrack = obj.velTrack;
+    node.env = Envelope.fromJSON(obj.env);
+    node.bendRange = obj.bendRange;
 
-            var lVal = inBuf[lIdx];
-            var rVal = inBuf[rIdx];
-            outBuf[outIdx] = lVal * (rIdx - pos) + rVal * (pos - lIdx);
+    return node;
+};
 
-            // Update the sample position
-            pos += disp;
+/**
+ Process an event
+ */
+MultiSampleInstr.prototype.processEvent = function (evt, time, offset) {
+    // Note-on event
+    if (evt instanceof NoteOnEvt) {
+        var note = evt.note;
+
+        // Volume scaling from the velocity
+        var velVolume = 1 - this.velTrack + this.velTrack * evt.vel;
+
+        // Start a voice for each zone matching the note
+        for (var i = 0; i < this.zones.length; ++i) {
+            var zone = this.zones[i];
+
+            if (!zone.matches(note.noteNo, evt.vel))
+                continue;
+
+            // Advance the round-robin count of the zone, and skip
+            // the zone if it is not its turn in the sequence
+            var rrCount = this.rrCounts[i] || 0;
+            this.rrCounts[i] = rrCount + 1;
+
+            if ((rrCount % zone.seqLength) + 1 !== zone.seqPos)
+                continue;
+
+            // If the sample is not yet loaded, skip the zone
+            if (zone.sample.buffer === undefined)
+                continue;
+
+            var freqRatio = note.getFreq(zone.tune) / zone.rootNote.getFreq();
+
+            // Add an entry to the active note list, starting
+            // at the event's offset in the next block
+            this.actNotes.push({
+                note: note,
+                loop: zone,
+                env: (zone.env !== undefined) ? zone.env : this.env,
+                pos: 0,
+                dir: 1,
+                delay: offset || 0,
+                freqRatio: freqRatio,
+                volume: zone.volume * velVolume,
+                onTime: time,
+                offTime: 0,
+                offAmp: 0
+            });
         }
+    }
+
+    // Note-off event
+    else if (evt instanceof NoteOffEvt) {
+        releaseSampleVoices(this.actNotes, evt.note, time);
+    }
+
+    // All notes off event
+    else if (evt instanceof AllNotesOffEvt) {
+        this.actNotes = [];
+    }
+
+    // Pitch bend event
+    else if (evt instanceof PitchBendEvt) {
+        this.pitchBend = evt.bend;
+    }
+
+    // Volume controller change event
+    else if (evt instanceof ControlEvt && evt.ctrlNo === CTRL_VOLUME) {
+        this.ctrlVolume = evt.value;
+    }
+
+    // Playback start event, reset the controllers and round-robin counts
+    else if (evt instanceof StartEvt) {
+        this.pitchBend = 0;
+        this.ctrlVolume = 1;
+        this.rrCounts = [];
+    }
+
+    // By default, do nothing
+};
+
+/**
+ Update the outputs based on the inputs
+ */
+MultiSampleInstr.prototype.update = function (time, sampleRate) {
+    // Get the output buffer
+    var outBuf = this.output.getBuffer(0);
 
-        // Store the final sample position
-        actNote.pos = pos;
+    // Initialize the output to 0, so that no stale block
+    // remains once the last note is done
+    for (var i = 0; i < outBuf.length; ++i)
+        outBuf[i] = 0;
+
+    // If there are no active notes, stop
+    if (this.actNotes.length === 0)
+        return;
+
+    // Get the pitch bend frequency ratio
+    var bendRatio = Math.pow(2, this.pitchBend * this.bendRange / CENTS_PER_OCTAVE);
+
+    // For each active note
+    for (var i = 0; i < this.actNotes.length; ++i) {
+        var actNote = this.actNotes[i];
+
+        var done = genSampleVoice(
+            outBuf,
+            actNote,
+            actNote.loop.sample.buffer,
+            time,
+            sampleRate,
+            actNote.freqRatio * bendRatio,
+            this.ctrlVolume * actNote.volume
+        );
 
         // If the note is done playing
-        if (pos >= inBuf.length) {
+        if (done) {
             // Remove the note from the active list
             this.actNotes.splice(i, 1);
             --i;
         }
     }
 };
-
@@ -0,0 +1,329 @@
+//============================================================================
+// SFZ instrument import
+//============================================================================
+
+/**
+ Load a text file, then call the callback with its contents, or with
+ undefined if the file could not be loaded. This can be replaced where
+ XHR is unavailable, as Sample.loadData is.
+ */
+function loadTextFile(url, callback) {
+    var xhr = new XMLHttpRequest();
+    xhr.open("GET", url, true);
+    xhr.responseType = "text";
+
+    xhr.onload = function () {
+        if (xhr.status !== 0 && xhr.status !== 200) {
+            console.error('failed to load "' + url + '"');
+            callback(undefined);
+            return;
+        }
+
+        callback(xhr.responseText);
+    };
+
+    xhr.onerror = function () {
+        console.error('failed to load "' + url + '"');
+        callback(undefined);
+    };
+
+    xhr.send();
+}
+
+/**
+ Load an SFZ instrument definition, then call the callback with
+ a multi-sample instrument playing it, or with undefined if the
+ file could not be loaded
+ */
+function loadSFZ(url, callback) {
+    loadTextFile(url, function (text) {
+        if (text === undefined) {
+            callback(undefined);
+            return;
+        }
+
+        callback(makeSFZInstr(text, url));
+    });
+}
+
+/**
+ Parse the text of an SFZ file. The opcodes of the <global>, <master> and
+ <group> headers are merged into each region that follows them.
+ @returns the <control> opcodes and the list of region opcodes
+ */
+function parseSFZ(text) {
+    // Remove the comments and preprocessor directives
+    text = text.replace(/\/\*[\s\S]*?\*\//g, ' ');
+    text = text.replace(/\/\/.*$/gm, '');
+    text = text.replace(/^\s*#.*$/gm, '');
+
+    var control = {};
+    var global = {};
+    var master = {};
+    var group = {};
+    var regions = [];
+
+    // Split the text into headers and the opcodes following them
+    var parts = text.split(/<(\w+)>/);
+
+    // Opcodes before the first header are ignored
+    for (var i = 1; i < parts.length; i += 2) {
+        var header = parts[i];
+
+        var opcodes = parseSFZOpcodes(parts[i + 1]);
+
+        switch (header) {
+            case 'control':
+                control = opcodes;
+                break;
+
+            case 'global':
+                global = opcodes;
+                master = {};
+                group = {};
+                break;
+
+            case 'master':
+                master = opcodes;
+                group = {};
+                break;
+
+            case 'group':
+                group = opcodes;
+                break;
+
+            case 'region':
+                regions.push(mergeSFZOpcodes([global, master, group, opcodes]));
+                break;
+
+            // Other headers, such as <curve> and <effect>, are not supported
+            default:
+                break;
+        }
+    }
+
+    return {
+        control: control,
+        regions: regions
+    };
+}
+
+/**
+ Parse the opcodes following a header. The values are kept as strings.
+ Values extend up to the next opcode, so sample paths may contain spaces.
+ */
+function parseSFZOpcodes(text) {
+    var opcodes = {};
+
+    var regex = /([\w$]+)=/g;
+    var matches = [];
+
+    var match;
+    while ((match = regex.exec(text)) !== null)
+        matches.push(match);
+
+    for (var i = 0; i < matches.length; ++i) {
+        var start = matches[i].index + matches[i][0].length;
+        var end = (i + 1 < matches.length) ? matches[i + 1].index : text.length;
+
+        opcodes[matches[i][1]] = text.substring(start, end).trim();
+    }
+
+    return opcodes;
+}
+
+/**
+ Merge lists of opcodes, later ones overriding earlier ones
+ */
+function mergeSFZOpcodes(lists) {
+    var merged = {};
+
+    for (var i = 0; i < lists.length; ++i)
+        for (var name in lists[i])
+            merged[name] = lists[i][name];
+
+    return merged;
+}
+
+/**
+ Parse an SFZ note value, either a MIDI note number or a note
+ name such as c4, c#4 or db4, where c4 is note 60
+ */
+function parseSFZNote(value) {
+    if (/^-?\d+$/.test(value))
+        return parseInt(value);
+
+    var matches = value.match(/^([a-g])(#|b)?(-?\d+)$/i);
+
+    assert(
+        matches !== null,
+        'invalid SFZ note: "' + value + '"'
+    );
+
+    var pc = NOTE_NAME_PC[matches[1].toUpperCase()];
+
+    if (matches[2] === '#')
+        pc += 1;
+    else if (matches[2] === 'b')
+        pc -= 1;
+
+    var octNo = parseInt(matches[3]);
+
+    return (octNo + 1) * NOTES_PER_OCTAVE + pc;
+}
+
+/**
+ Resolve a sample path relative to the base path of the SFZ file.
+ SFZ files may use backslashes as path separators.
+ */
+function resolveSFZPath(basePath, path) {
+    path = path.replace(/\\/g, '/');
+
+    // Absolute paths and URLs are kept as they are
+    if (/^([a-z]+:|\/)/i.test(path))
+        return path;
+
+    return basePath + path;
+}
+
+/**
+ Create a multi-sample instrument from the text of an SFZ file. Each region
+ becomes a zone, with its key and velocity ranges, root note, tuning, volume,
+ round-robin position, loop and amplitude envelope. Sample paths are
+ resolved relative to the SFZ file URL. Unsupported opcodes are ignored,
+ and regions with an unsupported loop mode do not loop.
+ */
+function makeSFZInstr(text, url) {
+    var sfz = parseSFZ(text);
+    var control = sfz.control;
+
+    // Get the directory of the SFZ file
+    var basePath = url.substr(0, url.lastIndexOf('/') + 1);
+
+    if (control.default_path !== undefined)
+        basePath = resolveSFZPath(basePath, control.default_path);
+
+    // Note number offset applied to the key opcodes
+    var noteOffset = 0;
+    if (control.note_offset !== undefined)
+        noteOffset += parseInt(control.note_offset);
+    if (control.octave_offset !== undefined)
+        noteOffset += parseInt(control.octave_offset) * NOTES_PER_OCTAVE;
+
+    function getNote(value) {
+        var noteNo = parseSFZNote(value) + noteOffset;
+        return Math.max(0, Math.min(noteNo, NUM_NOTES - 1));
+    }
+
+    function getNum(value, def) {
+        return (value !== undefined) ? parseFloat(value) : def;
+    }
+
+    var instr = new MultiSampleInstr();
+    instr.name = url.substr(url.lastIndexOf('/') + 1);
+
+    for (var i = 0; i < sfz.regions.length; ++i) {
+        var region = sfz.regions[i];
+
+        // Regions without a sample file, or using a built-in generator
+        // such as *sine, can't be played
+        if (region.sample === undefined || region.sample.charAt(0) === '*') {
+            console.log('skipping SFZ region without a sample file');
+            continue;
+        }
+
+        var rootNo = 60;
+        var loKey = 0;
+        var hiKey = NUM_NOTES - 1;
+
+        if (region.key !== undefined)
+            rootNo = loKey = hiKey = getNote(region.key);
+        if (region.pitch_keycenter !== undefined)
+            rootNo = getNote(region.pitch_keycenter);
+        if (region.lokey !== undefined)
+            loKey = getNote(region.lokey);
+        if (region.hikey !== undefined)
+            hiKey = getNote(region.hikey);
+
+        var zone = instr.addZone(
+            resolveSFZPath(basePath, region.sample),
+            new Note(rootNo)
+        );
+
+        zone.loKey = loKey;
+        zone.hiKey = hiKey;
+
+        // SFZ velocities are MIDI values in [0, 127]
+        zone.loVel = getNum(region.lovel, 0) / 127;
+        zone.hiVel = getNum(region.hivel, 127) / 127;
+
+        // The tuning is in cents, the transposition in semitones
+        zone.tune = getNum(region.tune, 0) + getNum(region.transpose, 0) * 100;
+
+        // The volume is in decibels
+        zone.volume = Math.pow(10, getNum(region.volume, 0) / 20);
+
+        zone.seqLength = getNum(region.seq_length, 1);
+        zone.seqPos = getNum(region.seq_position, 1);
+
+        // Loop opcodes, with their SFZ v1 aliases
+        var loopMode = (region.loop_mode !== undefined) ? region.loop_mode : region.loopmode;
+        var loopStart = getNum((region.loop_start !== undefined) ? region.loop_start : region.loopstart, 0);
+        var loopEnd = getNum((region.loop_end !== undefined) ? region.loop_end : region.loopend, -1);
+
+        // The SFZ loop end is the last looped frame. Loop points stored
+        // in the sample files are not read, so without loop opcodes,
+        // the zone does not loop.
+        zone.loopStart = loopStart;
+        zone.loopEnd = loopEnd + 1;
+
+        switch (loopMode) {
+            case undefined:
+            case 'no_loop':
+            case 'one_shot':
+                zone.loopMode = 'none';
+                break;
+
+            case 'loop_continuous':
+                zone.loopMode = 'forward';
+                break;
+
+            case 'loop_sustain':
+                zone.loopMode = 'forward';
+                zone.sustainLoop = true;
+                break;
+
+            // Unknown loop modes are played without looping,
+            // rather than rejecting the whole instrument
+            default:
+                console.log('unsupported SFZ loop mode: ' + loopMode);
+                zone.loopMode = 'none';
+        }
+
+        // One-shot regions play to the end of the sample,
+        // ignoring the note-off
+        var release = getNum(region.ampeg_release, 0);
+        if (loopMode === 'one_shot')
+            release = Infinity;
+
+        // Delay-attack-hold-decay-sustain-release amplitude envelope
+        var env = new BreakpointEnv(
+            [
+                BreakpointEnv.point(getNum(region.ampeg_attack, 0), 1),
+                BreakpointEnv.point(
+                    getNum(region.ampeg_decay, 0),
+                    getNum(region.ampeg_sustain, 100) / 100
+                )
+            ],
+            [
+                BreakpointEnv.point(release, 0)
+            ]
+        );
+        env.delay = getNum(region.ampeg_delay, 0);
+        env.hold = getNum(region.ampeg_hold, 0);
+
+        zone.env = env;
+    }
+
+    return instr;
+}
@@ -82,9 +82,15 @@ SynthOutput.prototype.getBuffer = function (chanIdx) {
 };
 
 /**
- Connect to a synthesis input
+ Connect to a synthesis input.
+ @param delay optional delay in blocks of SYNTH_BUF_SIZE samples. Delayed
+ connections receive the output produced in an earlier block, which allows
+ them to close feedback loops in the network.
  */
-SynthOutput.prototype.connect = function (dst) {
+SynthOutput.prototype.connect = function (dst, delay) {
+    if (delay === undefined)
+        delay = 0;
+
     assert(
         dst instanceof SynthInput,
         'invalid dst'
@@ -106,10 +112,59 @@ SynthOutput.prototype.connect = function (dst) {
         'mismatch in the channel count'
     );
 
+    assert(
+        delay >= 0 && delay % 1 === 0,
+        'the delay must be a whole number of blocks'
+    );
+
     //console.log('connecting');
 
     this.dsts.push(dst);
     dst.src = this;
+
+    dst.setDelay(delay);
+
+    // Let the network keep its node ordering up to date
+    var net = SynthOutput.getNet(this, dst);
+    if (net !== undefined)
+        net.onConnect(this, dst);
+};
+
+/**
+ Disconnect from a synthesis input, or from all inputs if none is given
+ */
+SynthOutput.prototype.disconnect = function (dst) {
+    if (dst === undefined) {
+        while (this.dsts.length > 0)
+            this.disconnect(this.dsts[0]);
+        return;
+    }
+
+    var idx = this.dsts.indexOf(dst);
+
+    assert(
+        idx !== -1,
+        'not connected to input'
+    );
+
+    // Let the network drop the input from its delayed inputs
+    var net = SynthOutput.getNet(this, dst);
+    if (net !== undefined)
+        net.onDisconnect(this, dst);
+
+    this.dsts.splice(idx, 1);
+    dst.src = undefined;
+
+    dst.delay = 0;
+    dst.delayLine = [];
+    dst.delayPos = 0;
+};
+
+/**
+ Get the network a connection belongs to, if either node is in one
+ */
+SynthOutput.getNet = function (src, dst) {
+    return (src.node.net !== undefined) ? src.node.net : dst.node.net;
 };
 
 /**
@@ -129,9 +184,62 @@ function SynthInput(node, name, numChans) {
 
     this.src = undefined;
 
+    /**
+     Connection delay, in blocks
+     */
+    this.delay = 0;
+
+    /**
+     Delay line, holding the source output for the last delay blocks
+     */
+    this.delayLine = [];
+
+    /**
+     Delay line read/write position
+     */
+    this.delayPos = 0;
+
     node[name] = this;
 }
 
+/**
+ Set the connection delay and allocate the delay line
+ */
+SynthInput.prototype.setDelay = function (delay) {
+    this.delay = delay;
+    this.delayLine = new Array(delay);
+    this.delayPos = 0;
+
+    var numChans = this.src.numChans;
+
+    for (var i = 0; i < delay; ++i) {
+        var slot = this.delayLine[i] = {
+            hasData: false,
+            buffers: new Array(numChans)
+        };
+
+        for (var chnIdx = 0; chnIdx < numChans; ++chnIdx)
+            slot.buffers[chnIdx] = new Float64Array(SYNTH_BUF_SIZE);
+    }
+};
+
+/**
+ Store the source output in the delay line.
+ Called at the end of each block for delayed connections.
+ */
+SynthInput.prototype.storeDelayed = function () {
+    var slot = this.delayLine[this.delayPos];
+
+    slot.hasData = this.src.hasData;
+
+    if (slot.hasData) {
+        for (var chnIdx = 0; chnIdx < slot.buffers.length; ++chnIdx)
+            slot.buffers[chnIdx].set(this.src.buffers[chnIdx]);
+    }
+
+    this.delayPos = (this.delayPos + 1) % this.delay;
+};
+
 /**
  Test if data is available
  */
@@ -139,6 +247,9 @@ SynthInput.prototype.hasData = function () {
     if (this.src === undefined)
         return false;
 
+    if (this.delay > 0)
+        return this.delayLine[this.delayPos].hasData;
+
     return this.src.hasData;
 };
 
@@ -162,7 +273,7 @@ SynthInput.prototype.getBuffer = function (chanIdx) {
     );
 
     // If the source has no data, return the zero buffer
-    if (!this.src.hasData)
+    if (!this.hasData())
         return SYNTH_ZERO_BUF;
 
     if (chanIdx === undefined)
@@ -171,9 +282,136 @@ SynthInput.prototype.getBuffer = function (chanIdx) {
     if (chanIdx >= this.src.numChans)
         chanIdx = 0;
 
+    // For delayed connections, read from the delay line
+    if (this.delay > 0)
+        return this.delayLine[this.delayPos].buffers[chanIdx];
+
     return this.src.buffers[chanIdx];
 };
 
+/**
+ @class Synthesis node parameter. The parameter has a base value which can
+ be set directly or ramped over time. It is also an input, so the output of
+ another node can be connected to it, in which case the signal is added to
+ the base value, sample by sample.
+ @extends SynthInput
+ */
+function SynthParam(node, name, value) {
+    SynthInput.call(this, node, name, 1);
+
+    /**
+     Base value. Overwritten while a ramp is active.
+     */
+    this.value = value;
+
+    /**
+     Active ramp, null if none
+     */
+    this.ramp = null;
+
+    /**
+     Parameter values for the current block, one per sample
+     */
+    this.values = new Float64Array(SYNTH_BUF_SIZE);
+
+    /**
+     Flag indicating the values are constant over the current block
+     */
+    this.constant = true;
+
+    /**
+     Base value the values buffer was last filled with
+     */
+    this.fillValue = value;
+
+    for (var i = 0; i < SYNTH_BUF_SIZE; ++i)
+        this.values[i] = value;
+}
+SynthParam.prototype = Object.create(SynthInput.prototype);
+
+/**
+ Set the base value, cancelling any active ramp
+ */
+SynthParam.prototype.setValue = function (value) {
+    this.value = value;
+    this.ramp = null;
+};
+
+/**
+ Ramp the base value linearly to a target value. The ramp starts
+ at the next block and lasts for the given duration in seconds.
+ */
+SynthParam.prototype.rampTo = function (value, duration) {
+    if (duration <= 0) {
+        this.setValue(value);
+        return;
+    }
+
+    this.ramp = {
+        from: this.value,
+        to: value,
+        duration: duration,
+        startTime: undefined
+    };
+};
+
+/**
+ Compute the parameter values for a block. Called by the synthesis
+ network before the node owning the parameter is updated.
+ */
+SynthParam.prototype.update = function (time, sampleRate) {
+    var values = this.values;
+    var ramp = this.ramp;
+    var modulated = this.hasData();
+
+    // If the value is constant, only refill the buffer if it changed
+    if (ramp === null && !modulated) {
+        if (!this.constant || this.fillValue !== this.value) {
+            for (var i = 0; i < values.length; ++i)
+                values[i] = this.value;
+        }
+
+        this.constant = true;
+        this.fillValue = this.value;
+        return;
+    }
+
+    if (ramp !== null) {
+        if (ramp.startTime === undefined)
+            ramp.startTime = time;
+
+        for (var i = 0; i < values.length; ++i) {
+            var t = time + i / sampleRate;
+            var x = Math.min((t - ramp.startTime) / ramp.duration, 1);
+            values[i] = ramp.from + x * (ramp.to - ramp.from);
+        }
+
+        // Update the base value to where the ramp is at the end of the block
+        var endTime = time + values.length / sampleRate;
+        var endX = (endTime - ramp.startTime) / ramp.duration;
+        if (endX >= 1) {
+            this.value = ramp.to;
+            this.ramp = null;
+        }
+        else {
+            this.value = ramp.from + endX * (ramp.to - ramp.from);
+        }
+    }
+    else {
+        for (var i = 0; i < values.length; ++i)
+            values[i] = this.value;
+    }
+
+    // Add the modulation signal to the base value
+    if (modulated) {
+        var modBuf = this.getBuffer();
+        for (var i = 0; i < values.length; ++i)
+            values[i] += modBuf[i];
+    }
+
+    this.constant = false;
+};
+
 /**
  @class Synthesis network node
  */
@@ -182,12 +420,20 @@ function SynthNode() {
      Node name
      */
     this.name = '';
+
+    /**
+     Network the node was added to, undefined until it is added
+     */
+    this.net = undefined;
 }
 
 /**
  Process an event
+ @param time synthesis time of the event
+ @param offset sample offset of the event in the next block generated,
+ undefined for events sent outside of playback, which apply immediately
  */
-SynthNode.prototype.processEvent = function (evt, time) {
+SynthNode.prototype.processEvent = function (evt, time, offset) {
     // By default, do nothing
 };
 
@@ -199,7 +445,142 @@ SynthNode.prototype.update = function (time, sampleRate) {
 };
 
 /**
- Audio synthesis network
+ Test if any of the node's ports is connected
+ */
+SynthNode.prototype.isConnected = function () {
+    for (var k in this) {
+        var port = this[k];
+
+        if (port instanceof SynthOutput && port.dsts.length > 0)
+            return true;
+
+        if (port instanceof SynthInput && port.src !== undefined)
+            return true;
+    }
+
+    return false;
+};
+
+/**
+ Fade the outputs produced in the current block down to silence
+ */
+SynthNode.prototype.fadeOutputs = function () {
+    for (var k in this) {
+        var synthOut = this[k];
+
+        if (!(synthOut instanceof SynthOutput) || !synthOut.hasData)
+            continue;
+
+        for (var chnIdx = 0; chnIdx < synthOut.numChans; ++chnIdx) {
+            var buf = synthOut.buffers[chnIdx];
+
+            for (var i = 0; i < buf.length; ++i)
+                buf[i] *= 1 - (i + 1) / buf.length;
+        }
+    }
+};
+
+/**
+ Get the nodes feeding this node's inputs through undelayed connections
+ */
+SynthNode.prototype.getSrcNodes = function () {
+    var srcNodes = [];
+
+    for (var k in this) {
+        var synthIn = this[k];
+
+        if (synthIn instanceof SynthInput &&
+            synthIn.src !== undefined &&
+            synthIn.delay === 0)
+            srcNodes.push(synthIn.src.node);
+    }
+
+    return srcNodes;
+};
+
+/**
+ Get the nodes fed by this node's outputs through undelayed connections
+ */
+SynthNode.prototype.getDstNodes = function () {
+    var dstNodes = [];
+
+    for (var k in this) {
+        var synthOut = this[k];
+
+        if (!(synthOut instanceof SynthOutput))
+            continue;
+
+        for (var i = 0; i < synthOut.dsts.length; ++i)
+            if (synthOut.dsts[i].delay === 0)
+                dstNodes.push(synthOut.dsts[i].node);
+    }
+
+    return dstNodes;
+};
+
+/**
+ Get a JSON representation of the node type and parameters
+ */
+SynthNode.prototype.toJSON = function () {
+    error('node type cannot be saved: ' + this.name);
+};
+
+/**
+ Create a node from its JSON representation
+ */
+SynthNode.fromJSON = function (obj) {
+    var node;
+
+    switch (obj.type) {
+        case 'output':
+            node = OutNode.fromJSON(obj);
+            break;
+
+        case 'vanalog':
+            node = VAnalog.fromJSON(obj);
+            break;
+
+        case 'sample-kit':
+            node = SampleKit.fromJSON(obj);
+            break;
+
+        case 'sample-instr':
+            node = SampleInstr.fromJSON(obj);
+            break;
+
+        case 'multi-sample-instr':
+            node = MultiSampleInstr.fromJSON(obj);
+            break;
+
+        case 'overdrive':
+            node = Overdrive.fromJSON(obj);
+            break;
+
+        case 'mixer':
+            node = Mixer.fromJSON(obj);
+            break;
+
+        case 'lfo':
+            node = LFO.fromJSON(obj);
+            break;
+
+        default:
+            error('invalid node type: ' + obj.type);
+    }
+
+    node.name = obj.name;
+
+    return node;
+};
+
+/**
+ Audio synthesis network.
+
+ The network can be edited while audio is playing, using the addNode,
+ removeNode, connect, disconnect and reconnect methods, or by connecting
+ the ports of its nodes directly. Once an ordering has been computed, these
+ keep it up to date incrementally. Since blocks are generated synchronously,
+ edits always take effect from the next block.
  */
 function SynthNet(sampleRate) {
     console.log('Creating synth network');
@@ -223,6 +604,22 @@ function SynthNet(sampleRate) {
      Topological ordering of nodes
      */
     this.order = undefined;
+
+    /**
+     Inputs with delayed connections, collected when ordering nodes
+     */
+    this.delayedIns = [];
+
+    /**
+     Nodes being removed, which fade out over the next block
+     before being disconnected
+     */
+    this.fadingNodes = [];
+
+    /**
+     Performance statistics, undefined when profiling is disabled
+     */
+    this.profile = undefined;
 }
 
 /**
@@ -239,24 +636,373 @@ SynthNet.prototype.addNode = function (node) {
         'output node already in network'
     );
 
+    // A node added back while fading out is first removed completely
+    if (this.fadingNodes.indexOf(node) !== -1)
+        this.detachNode(node);
+
     if (node instanceof OutNode)
         this.outNode = node;
 
     // Add the node to the network
     this.nodes.push(node);
-
-    // Invalidate any existing node ordering
-    this.order = undefined;
+    node.net = this;
+
+    // A node with no connections yet can go anywhere in an existing
+    // ordering. Otherwise, the ordering must be computed again.
+    if (this.order !== undefined) {
+        if (node.isConnected())
+            this.order = undefined;
+        else
+            this.order.push(node);
+    }
 
     return node;
 };
 
+/**
+ Remove a node from the network, disconnecting all of its ports. While
+ the network is running, the node fades out over the next block before
+ being disconnected, so that removing a sounding node does not click.
+ */
+SynthNet.prototype.removeNode = function (node) {
+    var idx = this.nodes.indexOf(node);
+
+    assert(
+        idx !== -1,
+        'node not in network'
+    );
+
+    this.nodes.splice(idx, 1);
+
+    if (node === this.outNode) {
+        this.outNode = null;
+        this.detachNode(node);
+        return;
+    }
+
+    if (this.order !== undefined)
+        this.fadingNodes.push(node);
+    else
+        this.detachNode(node);
+};
+
+/**
+ Disconnect all the ports of a removed node and drop it from the ordering
+ */
+SynthNet.prototype.detachNode = function (node) {
+    var fadeIdx = this.fadingNodes.indexOf(node);
+    if (fadeIdx !== -1)
+        this.fadingNodes.splice(fadeIdx, 1);
+
+    for (var k in node) {
+        var port = node[k];
+
+        if (port instanceof SynthOutput) {
+            while (port.dsts.length > 0)
+                this.disconnect(port, port.dsts[0]);
+        }
+
+        else if (port instanceof SynthInput && port.src !== undefined) {
+            this.disconnect(port.src, port);
+        }
+    }
+
+    // Removing a node leaves the rest of the ordering valid
+    if (this.order !== undefined && this.order.indexOf(node) !== -1)
+        this.order.splice(this.order.indexOf(node), 1);
+
+    node.net = undefined;
+};
+
+/**
+ Disconnect the nodes which have finished fading out
+ */
+SynthNet.prototype.detachFadingNodes = function () {
+    while (this.fadingNodes.length > 0)
+        this.detachNode(this.fadingNodes[0]);
+};
+
+/**
+ Connect a node output to a node input, keeping the node ordering valid.
+ Fails if the connection would create a cycle without a delay.
+ */
+SynthNet.prototype.connect = function (srcOut, dstIn, delay) {
+    srcOut.connect(dstIn, delay);
+};
+
+/**
+ Disconnect a node output from a node input
+ */
+SynthNet.prototype.disconnect = function (srcOut, dstIn) {
+    srcOut.disconnect(dstIn);
+};
+
+/**
+ Update the network after a connection is made to or from one of its
+ nodes. Connections made directly through the ports come here as well.
+ */
+SynthNet.prototype.onConnect = function (srcOut, dstIn) {
+    if (dstIn.delay > 0) {
+        this.delayedIns.push(dstIn);
+        return;
+    }
+
+    if (this.order === undefined)
+        return;
+
+    // A node outside of the network has no place in the ordering,
+    // which must then be computed again
+    if (this.order.indexOf(srcOut.node) === -1 ||
+        this.order.indexOf(dstIn.node) === -1) {
+        this.order = undefined;
+        return;
+    }
+
+    if (!this.reorder(srcOut.node, dstIn.node)) {
+        srcOut.disconnect(dstIn);
+        error('cycle in graph, feedback connections must be delayed');
+    }
+};
+
+/**
+ Update the network before a connection to or from one of its nodes
+ is removed. Removing a connection leaves the ordering valid.
+ */
+SynthNet.prototype.onDisconnect = function (srcOut, dstIn) {
+    var idx = this.delayedIns.indexOf(dstIn);
+    if (idx !== -1)
+        this.delayedIns.splice(idx, 1);
+};
+
+/**
+ Connect a node input to a different output, replacing its current source
+ */
+SynthNet.prototype.reconnect = function (dstIn, srcOut, delay) {
+    if (dstIn.src !== undefined)
+        this.disconnect(dstIn.src, dstIn);
+
+    this.connect(srcOut, dstIn, delay);
+};
+
+/**
+ Update the node ordering after adding a connection between two nodes.
+ Only the nodes between the two in the ordering are moved (Pearce-Kelly).
+ @returns false if the connection creates a cycle
+ */
+SynthNet.prototype.reorder = function (srcNode, dstNode) {
+    var order = this.order;
+
+    var lb = order.indexOf(dstNode);
+    var ub = order.indexOf(srcNode);
+
+    // If the source already comes first, the ordering is still valid
+    if (ub < lb)
+        return true;
+
+    // Find the nodes reachable from the destination, up to the source
+    var fwdNodes = [];
+    var stack = [dstNode];
+    while (stack.length > 0) {
+        var node = stack.pop();
+
+        if (node === srcNode)
+            return false;
+
+        if (fwdNodes.indexOf(node) !== -1 || order.indexOf(node) > ub)
+            continue;
+
+        fwdNodes.push(node);
+        stack = stack.concat(node.getDstNodes());
+    }
+
+    // Find the nodes reaching the source, down to the destination
+    var backNodes = [];
+    stack = [srcNode];
+    while (stack.length > 0) {
+        var node = stack.pop();
+
+        if (backNodes.indexOf(node) !== -1 || order.indexOf(node) < lb)
+            continue;
+
+        backNodes.push(node);
+        stack = stack.concat(node.getSrcNodes());
+    }
+
+    function byPos(n1, n2) {
+        return order.indexOf(n1) - order.indexOf(n2);
+    }
+
+    // Place the nodes reaching the source before those reachable from the
+    // destination, reusing the positions they occupied
+    backNodes.sort(byPos);
+    fwdNodes.sort(byPos);
+    var moved = backNodes.concat(fwdNodes);
+
+    var positions = moved.map(function (node) {
+        return order.indexOf(node);
+    });
+    positions.sort(function (a, b) {
+        return a - b;
+    });
+
+    for (var i = 0; i < moved.length; ++i)
+        order[positions[i]] = moved[i];
+
+    return true;
+};
+
+/**
+ Apply an edit described by a JSON object. This is used to forward edits
+ made on the page to the audio worklet. Nodes are referred to by name.
+ Supported edits are:
+ - { op: 'addNode', node: <node JSON> }
+ - { op: 'removeNode', node: <name> }
+ - { op: 'connect', src: <name>, output: <port>, dst: <name>, input: <port>, delay: <blocks> }
+ - { op: 'disconnect', src: <name>, output: <port>, dst: <name>, input: <port> }
+ - { op: 'reconnect', src: <name>, output: <port>, dst: <name>, input: <port>, delay: <blocks> }
+ - { op: 'setPreset', node: <name>, preset: <preset JSON> }
+ */
+SynthNet.prototype.applyEdit = function (edit) {
+    switch (edit.op) {
+        case 'addNode':
+            this.addNode(SynthNode.fromJSON(edit.node));
+            break;
+
+        case 'removeNode':
+            this.removeNode(this.getNode(edit.node));
+            break;
+
+        case 'connect':
+            this.connect(
+                this.getNode(edit.src)[edit.output],
+                this.getNode(edit.dst)[edit.input],
+                edit.delay
+            );
+            break;
+
+        case 'disconnect':
+            this.disconnect(
+                this.getNode(edit.src)[edit.output],
+                this.getNode(edit.dst)[edit.input]
+            );
+            break;
+
+        case 'reconnect':
+            this.reconnect(
+                this.getNode(edit.dst)[edit.input],
+                this.getNode(edit.src)[edit.output],
+                edit.delay
+            );
+            break;
+
+        case 'setPreset':
+            this.getNode(edit.node).setPreset(edit.preset);
+            break;
+
+        default:
+            error('invalid edit: ' + edit.op);
+    }
+};
+
+/**
+ Find a node by name
+ */
+SynthNet.prototype.getNode = function (name) {
+    for (var i = 0; i < this.nodes.length; ++i)
+        if (this.nodes[i].name === name)
+            return this.nodes[i];
+
+    error('node not found: ' + name);
+};
+
+/**
+ Get a JSON representation of the network, as a patch holding the
+ nodes and their parameters, and the connections between node ports.
+ Connections refer to nodes by their index in the node list.
+ */
+SynthNet.prototype.toJSON = function () {
+    var nodes = [];
+    var connections = [];
+
+    for (var i = 0; i < this.nodes.length; ++i) {
+        var node = this.nodes[i];
+
+        nodes.push(node.toJSON());
+
+        // For each output port of this node
+        for (var k in node) {
+            if (!(node[k] instanceof SynthOutput))
+                continue;
+
+            var synthOut = node[k];
+
+            // For each destination of this port
+            for (var j = 0; j < synthOut.dsts.length; ++j) {
+                var dstIn = synthOut.dsts[j];
+
+                var conn = {
+                    src: i,
+                    output: synthOut.name,
+                    dst: this.nodes.indexOf(dstIn.node),
+                    input: dstIn.name
+                };
+
+                if (dstIn.delay > 0)
+                    conn.delay = dstIn.delay;
+
+                connections.push(conn);
+            }
+        }
+    }
+
+    return {
+        nodes: nodes,
+        connections: connections
+    };
+};
+
+/**
+ Create a synthesis network from a JSON patch
+ */
+SynthNet.fromJSON = function (obj, sampleRate) {
+    var synthNet = new SynthNet(sampleRate);
+
+    for (var i = 0; i < obj.nodes.length; ++i)
+        synthNet.addNode(SynthNode.fromJSON(obj.nodes[i]));
+
+    for (var i = 0; i < obj.connections.length; ++i) {
+        var conn = obj.connections[i];
+
+        var srcNode = synthNet.nodes[conn.src];
+        var dstNode = synthNet.nodes[conn.dst];
+
+        assert(
+            srcNode !== undefined && dstNode !== undefined,
+            'invalid connection node index'
+        );
+
+        assert(
+            srcNode[conn.output] instanceof SynthOutput,
+            'invalid output port: ' + conn.output
+        );
+
+        srcNode[conn.output].connect(dstNode[conn.input], conn.delay);
+    }
+
+    synthNet.orderNodes();
+
+    return synthNet;
+};
+
 /**
  Produce a topological ordering of the nodes
  */
 SynthNet.prototype.orderNodes = function () {
     console.log('Computing node ordering');
 
+    // Nodes being removed are not part of the new ordering
+    this.detachFadingNodes();
+
     // Set of nodes with no outgoing edges
     var S = [];
 
@@ -266,6 +1012,9 @@ SynthNet.prototype.orderNodes = function () {
     // Total count of input edges
     var numEdges = 0;
 
+    // Delayed inputs, which don't constrain the ordering
+    var delayedIns = [];
+
     // For each graph node
     for (var i = 0; i < this.nodes.length; ++i) {
         var node = this.nodes[i];
@@ -276,19 +1025,27 @@ SynthNet.prototype.orderNodes = function () {
         node.inEdges = [];
 
         // Collect all inputs for this node
-        for (k in node) {
+        for (var k in node) {
             if (node[k] instanceof SynthInput) {
                 var synthIn = node[k];
 
                 //console.log('Input port: ' + synthIn.name);
                 //console.log(synthIn.src);
 
-                if (synthIn.src instanceof SynthOutput) {
-                    //console.log(node.name + ': ' + synthIn.name);
+                if (!(synthIn.src instanceof SynthOutput))
+                    continue;
 
-                    node.inEdges.push(synthIn.src);
-                    ++numEdges;
+                // Delayed connections read data from earlier blocks,
+                // so they are not ordering constraints
+                if (synthIn.delay > 0) {
+                    delayedIns.push(synthIn);
+                    continue;
                 }
+
+                //console.log(node.name + ': ' + synthIn.name);
+
+                node.inEdges.push(synthIn.src);
+                ++numEdges;
             }
         }
 
@@ -297,14 +1054,10 @@ SynthNet.prototype.orderNodes = function () {
             S.push(node);
     }
 
-    console.log('Num edges: ' + numEdges);
-
     // While S not empty
     while (S.length > 0) {
         var node = S.pop();
 
-        console.log('Graph node: ' + node.name);
-
         L.push(node);
 
         // For each output port of this node
@@ -317,6 +1070,10 @@ SynthNet.prototype.orderNodes = function () {
                     var dstIn = synthOut.dsts[i];
                     var dstNode = dstIn.node;
 
+                    // Delayed connections are not edges of the ordering
+                    if (dstIn.delay > 0)
+                        continue;
+
                     //console.log('dst: ' + dstNode.name);
 
                     var idx = dstNode.inEdges.indexOf(synthOut);
@@ -340,7 +1097,7 @@ SynthNet.prototype.orderNodes = function () {
 
     assert(
         numEdges === 0,
-        'cycle in graph'
+        'cycle in graph, feedback connections must be delayed'
     );
 
     assert(
@@ -348,10 +1105,19 @@ SynthNet.prototype.orderNodes = function () {
         'invalid ordering length'
     );
 
-    console.log('Ordering computed');
-
     // Store the ordering
     this.order = L;
+    this.delayedIns = delayedIns;
+};
+
+/**
+ Enable or disable the profiling of node updates
+ */
+SynthNet.prototype.setProfiling = function (enabled) {
+    if (enabled && this.profile === undefined)
+        this.profile = new SynthProfile();
+    else if (!enabled)
+        this.profile = undefined;
 };
 
 /**
@@ -369,23 +1135,138 @@ SynthNet.prototype.genOutput = function (time) {
         'genSample: output node not found'
     );
 
+    var profile = this.profile;
+
+    // Time spent updating each node, when profiling
+    if (profile !== undefined) {
+        var blockStart = getTimeMs();
+        var nodeTimes = {};
+    }
+
     // For each node in the order
     for (var i = 0; i < this.order.length; ++i) {
         var node = this.order[i];
 
-        // Reset the outputs for this node
-        for (var k in node)
+        if (profile !== undefined)
+            var nodeStart = getTimeMs();
+
+        // Reset the outputs and compute the parameter values for this node
+        for (var k in node) {
             if (node[k] instanceof SynthOutput)
                 node[k].hasData = false;
+            else if (node[k] instanceof SynthParam)
+                node[k].update(time, this.sampleRate);
+        }
 
         // Update this node
         node.update(time, this.sampleRate);
+
+        // Fade out the output of a node being removed
+        if (this.fadingNodes.indexOf(node) !== -1)
+            node.fadeOutputs();
+
+        if (profile !== undefined) {
+            var nodeTime = getTimeMs() - nodeStart;
+            nodeTimes[node.name] = (nodeTimes[node.name] || 0) + nodeTime;
+        }
+    }
+
+    // Store the output of delayed connections for the next blocks
+    for (var i = 0; i < this.delayedIns.length; ++i)
+        this.delayedIns[i].storeDelayed();
+
+    // The nodes being removed have faded out
+    this.detachFadingNodes();
+
+    if (profile !== undefined) {
+        profile.recordBlock(
+            nodeTimes,
+            getTimeMs() - blockStart,
+            1000 * SYNTH_BUF_SIZE / this.sampleRate
+        );
     }
 
     // Return the output node
     return this.outNode;
 };
 
+//============================================================================
+// Performance profiling
+//============================================================================
+
+/**
+ Weight of the latest block in the profiling averages
+ */
+var PROFILE_SMOOTHING = 0.05;
+
+/**
+ @class Performance statistics of a synthesis network. The times are
+ moving averages over recent blocks, in milliseconds.
+ */
+function SynthProfile() {
+    /**
+     Average time spent updating each node per block, indexed by node name
+     */
+    this.nodeTimes = {};
+
+    /**
+     Average time spent generating a block
+     */
+    this.blockTime = 0;
+
+    /**
+     Average DSP load, the fraction of the real-time duration of a block
+     spent generating it
+     */
+    this.load = 0;
+
+    /**
+     Number of blocks generated since profiling started
+     */
+    this.numBlocks = 0;
+
+    /**
+     Number of audio callbacks, or of blocks in the audio worklet, which
+     took longer to compute than the duration of the audio they produced
+     */
+    this.numUnderruns = 0;
+}
+
+/**
+ Record the timings of one block
+ @param nodeTimes time spent updating each node, indexed by node name
+ @param blockTime time spent generating the block
+ @param budget real-time duration of the block
+ */
+SynthProfile.prototype.recordBlock = function (nodeTimes, blockTime, budget) {
+    // The first block initializes the averages
+    var weight = (this.numBlocks === 0) ? 1 : PROFILE_SMOOTHING;
+
+    function average(avg, val) {
+        return (avg === undefined) ? val : avg + weight * (val - avg);
+    }
+
+    // Nodes which are no longer updated are dropped
+    var avgTimes = {};
+    for (var name in nodeTimes)
+        avgTimes[name] = average(this.nodeTimes[name], nodeTimes[name]);
+    this.nodeTimes = avgTimes;
+
+    this.blockTime = average(this.blockTime, blockTime);
+    this.load = average(this.load, blockTime / budget);
+
+    this.numBlocks++;
+};
+
+/**
+ Record the computation time of an audio callback, counting an underrun
+ if it exceeds the duration of the audio produced
+ */
+SynthProfile.prototype.recordCallback = function (compTime, soundTime) {
+    if (compTime > soundTime)
+        this.numUnderruns++;
+};
+
 //============================================================================
 // Output node
 //============================================================================
@@ -410,6 +1291,24 @@ function OutNode(numChans) {
 }
 OutNode.prototype = new SynthNode();
 
+/**
+ Get a JSON representation of the node
+ */
+OutNode.prototype.toJSON = function () {
+    return {
+        type: 'output',
+        name: this.name,
+        numChans: this.numChans
+    };
+};
+
+/**
+ Create an output node from its JSON representation
+ */
+OutNode.fromJSON = function (obj) {
+    return new OutNode(obj.numChans);
+};
+
 /**
  Get the buffer for a given output channel
  */
@@ -46,8 +46,63 @@ function assert(condition, errorText) {
  Abort execution because a critical error occurred
  */
 function error(errorText) {
-    alert('ERROR: ' + errorText);
+    // The alert function is only available on the page, not inside the
+    // audio worklet or under Node.js
+    if (typeof alert === 'function')
+        alert('ERROR: ' + errorText);
 
     throw errorText;
 }
 
+/**
+ Get the current time in milliseconds, for measuring durations.
+ performance.now is missing from some audio worklet scopes.
+ */
+function getTimeMs() {
+    if (typeof performance !== 'undefined' && performance.now !== undefined)
+        return performance.now();
+
+    return Date.now();
+}
+
+/**
+ @class Seedable pseudo-random number generator (Mulberry32). Unlike
+ Math.random, it produces the same sequence for a given seed, which
+ makes renders reproducible.
+ */
+function RandGen(seed) {
+    if (seed === undefined)
+        seed = 0;
+
+    this.setSeed(seed);
+}
+
+/**
+ Restart the sequence from a given seed
+ */
+RandGen.prototype.setSeed = function (seed) {
+    /**
+     Generator state, a 32-bit unsigned integer
+     */
+    this.state = seed >>> 0;
+};
+
+/**
+ Generate a random 32-bit unsigned integer
+ */
+RandGen.prototype.randInt = function () {
+    var t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return (t ^ (t >>> 14)) >>> 0;
+};
+
+/**
+ Generate a random number in [0,1)
+ */
+RandGen.prototype.random = function () {
+    return this.randInt() / 4294967296;
+};
+
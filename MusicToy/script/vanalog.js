@@ -1,10 +1,173 @@
+/**
+ @class Set of single-cycle waveform frames for wavetable oscillators.
+ The frames come from an array, either of frames or of values to split
+ into frames, or from a sample split into frames of equal size.
+ @param source Sample, sample URL or array
+ @param frameSize number of values per frame, when splitting
+ */
+function Wavetable(source, frameSize) {
+    if (frameSize === undefined)
+        frameSize = 2048;
+
+    if (typeof source === 'string')
+        source = new Sample(source);
+
+    /**
+     Number of values per frame
+     */
+    this.frameSize = frameSize;
+
+    /**
+     Sample the frames are loaded from, if any
+     */
+    this.sample = undefined;
+
+    /**
+     List of frames, undefined until the sample is loaded
+     */
+    this.frames = undefined;
+
+    assert(
+        source instanceof Sample || source.length > 0,
+        'wavetable needs at least one frame'
+    );
+
+    if (source instanceof Sample) {
+        this.sample = source;
+    }
+    else if (typeof source[0] === 'number') {
+        this.frames = Wavetable.splitFrames(source, frameSize);
+    }
+    else {
+        this.frames = source.map(function (frame) {
+            return new Float64Array(frame);
+        });
+
+        this.frameSize = this.frames[0].length;
+    }
+
+    for (var i = 0; this.frames !== undefined && i < this.frames.length; ++i) {
+        assert(
+            this.frames[i].length === this.frameSize,
+            'wavetable frames must all have the same size'
+        );
+    }
+}
+
+/**
+ Split an array of values into frames. Values past the last
+ whole frame are dropped.
+ */
+Wavetable.splitFrames = function (values, frameSize) {
+    var numFrames = Math.floor(values.length / frameSize);
+
+    assert(
+        numFrames > 0,
+        'wavetable data is smaller than one frame'
+    );
+
+    var frames = [];
+    for (var i = 0; i < numFrames; ++i) {
+        var frame = new Float64Array(frameSize);
+
+        for (var j = 0; j < frameSize; ++j)
+            frame[j] = values[i * frameSize + j];
+
+        frames.push(frame);
+    }
+
+    return frames;
+};
+
+/**
+ Get a JSON representation of the wavetable
+ */
+Wavetable.prototype.toJSON = function () {
+    if (this.sample !== undefined) {
+        return {
+            url: this.sample.url,
+            frameSize: this.frameSize
+        };
+    }
+
+    return {
+        frames: this.frames.map(function (frame) {
+            return Array.prototype.slice.call(frame);
+        })
+    };
+};
+
+/**
+ Create a wavetable from its JSON representation
+ */
+Wavetable.fromJSON = function (obj) {
+    if (obj.url !== undefined)
+        return new Wavetable(obj.url, obj.frameSize);
+
+    return new Wavetable(obj.frames);
+};
+
+/**
+ Get the list of frames, or undefined if the sample is not yet loaded
+ */
+Wavetable.prototype.getFrames = function () {
+    // Split the sample data once it is loaded
+    if (this.frames === undefined && this.sample.buffer !== undefined)
+        this.frames = Wavetable.splitFrames(this.sample.buffer, this.frameSize);
+
+    return this.frames;
+};
+
+/**
+ Get the waveform value at a given cycle position, morphing
+ linearly between the frames
+ @param cyclePos cycle position in [0,1)
+ @param position position in the wavetable [0,1], from the first
+ frame to the last
+ */
+Wavetable.prototype.getValue = function (cyclePos, position) {
+    var frames = this.getFrames();
+
+    // If the frames are not yet loaded, output silence
+    if (frames === undefined)
+        return 0;
+
+    var framePos = position * (frames.length - 1);
+    var frameIdx = Math.floor(framePos);
+    var nextIdx = Math.min(frameIdx + 1, frames.length - 1);
+    var frameFrac = framePos - frameIdx;
+
+    var smpPos = cyclePos * this.frameSize;
+    var lIdx = Math.floor(smpPos);
+    var rIdx = (lIdx + 1) % this.frameSize;
+    var smpFrac = smpPos - lIdx;
+
+    var frame = frames[frameIdx];
+    var v0 = frame[lIdx] + smpFrac * (frame[rIdx] - frame[lIdx]);
+
+    frame = frames[nextIdx];
+    var v1 = frame[lIdx] + smpFrac * (frame[rIdx] - frame[lIdx]);
+
+    return v0 + frameFrac * (v1 - v0);
+};
+
 /** @class Simple virtual analog synthesizer
+ @param numOscs number of oscillators
+ @param numChans number of output channels, 1 for mono or 2 for stereo
  @extends SynthNode
  */
-function VAnalog(numOscs) {
+function VAnalog(numOscs, numChans) {
     if (numOscs === undefined)
         numOscs = 1;
 
+    if (numChans === undefined)
+        numChans = 1;
+
+    assert(
+        numChans === 1 || numChans === 2,
+        'VAnalog output must be mono or stereo'
+    );
+
     this.name = 'vanalog';
 
     /**
@@ -16,7 +179,8 @@ function VAnalog(numOscs) {
     for (var i = 0; i < numOscs; ++i) {
         var osc = this.oscs[i] = {};
 
-        // Oscillator type
+        // Oscillator type: sine, triangle, sawtooth, pulse, noise
+        // (white), pink-noise, brown-noise or wavetable
         osc.type = 'sine';
 
         // Duty cycle, for pulse wave
@@ -36,17 +200,64 @@ function VAnalog(numOscs) {
 
         // Syncing oscillator detuning
         osc.syncDetune = 0;
+
+        // Lo-fi flag, produces naive waveforms which alias at high pitches
+        osc.lofi = false;
+
+        // Wavetable, for the wavetable oscillator type
+        osc.wavetable = undefined;
+
+        // Number of unison voices
+        osc.unison = 1;
+
+        // Detuning between the lowest and highest unison voices, in cents
+        osc.unisonDetune = 0;
+
+        // Stereo spread of the unison voices [0,1]
+        osc.unisonSpread = 0;
+
+        // Index of the oscillator modulating this one, -1 for none.
+        // Oscillators can only be modulated by the ones before them.
+        osc.modSrc = -1;
+
+        // Modulation mode: fm (frequency), pm (phase) or ring
+        osc.modMode = 'fm';
+
+        // Modulation index. For FM, the frequency deviation relative
+        // to the oscillator frequency. For PM, the phase deviation in
+        // radians. For ring modulation, the depth [0,1].
+        osc.modIndex = 0;
+
+        // Modulation index envelope
+        osc.modEnv = new ADSREnv(0, 0, 1, Infinity);
     }
 
     /**
      Filter cutoff [0,1]
      */
-    this.cutoff = 1;
+    new SynthParam(this, 'cutoff', 1);
 
     /**
      Filter resonance [0,1]
      */
-    this.resonance = 0;
+    new SynthParam(this, 'resonance', 0);
+
+    /**
+     Filter mode: lowpass, highpass, bandpass or notch
+     */
+    this.filterMode = 'lowpass';
+
+    /**
+     Filter slope in dB per octave: 12 for a 2-pole state variable
+     filter, 24 for a 4-pole ladder filter
+     */
+    this.filterSlope = 12;
+
+    /**
+     Key tracking amount, how closely the cutoff follows the note
+     pitch, from 0 for a fixed cutoff to 1 for the same pitch change
+     */
+    this.keyTrack = 0;
 
     /**
      Filter envelope
@@ -56,7 +267,12 @@ function VAnalog(numOscs) {
     /**
      Filter envelope modulation amount
      */
-    this.filterEnvAmt = 1;
+    new SynthParam(this, 'filterEnvAmt', 1);
+
+    /**
+     Pitch offset in cents, applied to all oscillators
+     */
+    new SynthParam(this, 'pitch', 0);
 
     /**
      Pitch envelope
@@ -66,7 +282,91 @@ function VAnalog(numOscs) {
     /**
      Pitch envelope amount
      */
-    this.pitchEnvAmt = 0;
+    new SynthParam(this, 'pitchEnvAmt', 0);
+
+    /**
+     Wavetable position [0,1], morphing from the first to the last frame
+     */
+    new SynthParam(this, 'wavePos', 0);
+
+    /**
+     Wavetable position envelope
+     */
+    this.waveEnv = new ADSREnv(0, 0, 1, Infinity);
+
+    /**
+     Wavetable position envelope amount
+     */
+    new SynthParam(this, 'waveEnvAmt', 0);
+
+    /**
+     Velocity curve, mapping the note velocity to the amplitude
+     and velocity modulation amounts:
+     - linear: proportional to the velocity
+     - soft: louder at low velocities
+     - hard: quieter at low velocities
+     - fixed: full amplitude at any velocity
+     */
+    this.velCurve = 'linear';
+
+    /**
+     Cutoff offset at full velocity [-1,1]
+     */
+    this.velToCutoff = 0;
+
+    /**
+     Amplitude attack time reduction at full velocity [-1,1]. At 1,
+     the attack is instant at full velocity. Negative amounts lengthen
+     the attack, up to twice its time.
+     */
+    this.velToAttack = 0;
+
+    /**
+     Seed of the random number generator, used by the noise oscillators
+     */
+    this.seed = 0;
+
+    /**
+     Random number generator, seeding the generator of each voice. It
+     is reset at playback start, so that renders are reproducible.
+     */
+    this.randGen = new RandGen(this.seed);
+
+    /**
+     Pitch bend range in cents, reached at full bend
+     */
+    this.bendRange = 200;
+
+    /**
+     Cutoff offset at full modulation wheel [-1,1]
+     */
+    this.modWheelToCutoff = 0;
+
+    /**
+     Cutoff offset at full pressure [-1,1], from the channel pressure
+     or the aftertouch of each note, whichever is highest
+     */
+    this.pressureToCutoff = 0;
+
+    /**
+     Current pitch bend [-1,1]
+     */
+    this.pitchBend = 0;
+
+    /**
+     Current modulation wheel position [0,1]
+     */
+    this.modWheel = 0;
+
+    /**
+     Current channel pressure [0,1]
+     */
+    this.chanPressure = 0;
+
+    /**
+     Volume set by the volume controller [0,1]
+     */
+    this.ctrlVolume = 1;
 
     /**
      Active/on note array
@@ -74,291 +374,1158 @@ function VAnalog(numOscs) {
     this.actNotes = [];
 
     /**
-     Temporary oscillator buffer, for intermediate processing
+     Maximum number of voices playing at once
+     */
+    this.maxVoices = 16;
+
+    /**
+     Voice stealing policy, when a note-on exceeds the voice count:
+     - oldest: steal the voice started the longest ago
+     - quietest: steal the voice with the lowest amplitude
+     - priority: steal released voices first, then the lowest velocity
+     */
+    this.stealMode = 'oldest';
+
+    /**
+     Mono mode flag, all notes are played by a single voice
+     */
+    this.mono = false;
+
+    /**
+     Note priority in mono mode, choosing which held note sounds:
+     last, low or high
+     */
+    this.notePriority = 'last';
+
+    /**
+     Legato flag. In mono mode, when a note follows another held note,
+     the envelopes continue instead of restarting.
+     */
+    this.legato = true;
+
+    /**
+     Portamento time in seconds, to slide the pitch from one note to the
+     next in mono mode, 0 for no glide
+     */
+    this.glideTime = 0;
+
+    /**
+     Notes currently held in mono mode, with their velocity,
+     in the order they were pressed
+     */
+    this.heldNotes = [];
+
+    /**
+     Voice used in mono mode
+     */
+    this.monoVoice = undefined;
+
+    /**
+     Last note played in mono mode, where the next glide starts
+     */
+    this.lastMonoNote = undefined;
+
+    /**
+     Events to apply inside the next block, with their sample offset,
+     sorted by offset
      */
-    this.oscBuf = new Float64Array(SYNTH_BUF_SIZE);
+    this.evtQueue = [];
 
     /**
-     Temporary note buffer, for intermediate processing
+     Temporary unison voice buffer, for intermediate processing
      */
-    this.noteBuf = new Float64Array(SYNTH_BUF_SIZE);
+    this.voiceBuf = new Float64Array(SYNTH_BUF_SIZE);
+
+    /**
+     Temporary oscillator buffers, one per channel
+     */
+    this.oscBufs = [];
+
+    /**
+     Temporary note buffers, one per channel
+     */
+    this.noteBufs = [];
+
+    for (var i = 0; i < numChans; ++i) {
+        this.oscBufs.push(new Float64Array(SYNTH_BUF_SIZE));
+        this.noteBufs.push(new Float64Array(SYNTH_BUF_SIZE));
+    }
+
+    /**
+     Modulation buffers, holding the signal of each oscillator before
+     its amplitude envelope, to modulate the oscillators after it
+     */
+    this.modBufs = [];
+    for (var i = 0; i < numOscs; ++i)
+        this.modBufs.push(new Float64Array(SYNTH_BUF_SIZE));
 
     // Sound output
-    new SynthOutput(this, 'output');
+    new SynthOutput(this, 'output', numChans);
 }
 VAnalog.prototype = new SynthNode();
 
+/**
+ Get a JSON representation of the node
+ */
+VAnalog.prototype.toJSON = function () {
+    var oscs = [];
+    for (var i = 0; i < this.oscs.length; ++i) {
+        var osc = this.oscs[i];
+
+        oscs.push({
+            type: osc.type,
+            duty: osc.duty,
+            detune: osc.detune,
+            env: osc.env.toJSON(),
+            volume: osc.volume,
+            sync: osc.sync,
+            syncDetune: osc.syncDetune,
+            lofi: osc.lofi,
+            unison: osc.unison,
+            unisonDetune: osc.unisonDetune,
+            unisonSpread: osc.unisonSpread,
+            modSrc: osc.modSrc,
+            modMode: osc.modMode,
+            modIndex: osc.modIndex,
+            modEnv: osc.modEnv.toJSON(),
+            wavetable: (osc.wavetable !== undefined) ? osc.wavetable.toJSON() : undefined
+        });
+    }
+
+    return {
+        type: 'vanalog',
+        name: this.name,
+        numChans: this.output.numChans,
+        oscs: oscs,
+        cutoff: this.cutoff.value,
+        resonance: this.resonance.value,
+        filterMode: this.filterMode,
+        filterSlope: this.filterSlope,
+        keyTrack: this.keyTrack,
+        filterEnv: this.filterEnv.toJSON(),
+        filterEnvAmt: this.filterEnvAmt.value,
+        pitch: this.pitch.value,
+        pitchEnv: this.pitchEnv.toJSON(),
+        pitchEnvAmt: this.pitchEnvAmt.value,
+        maxVoices: this.maxVoices,
+        stealMode: this.stealMode,
+        mono: this.mono,
+        notePriority: this.notePriority,
+        legato: this.legato,
+        glideTime: this.glideTime,
+        velCurve: this.velCurve,
+        velToCutoff: this.velToCutoff,
+        velToAttack: this.velToAttack,
+        seed: this.seed,
+        bendRange: this.bendRange,
+        modWheelToCutoff: this.modWheelToCutoff,
+        pressureToCutoff: this.pressureToCutoff,
+        wavePos: this.wavePos.value,
+        waveEnv: this.waveEnv.toJSON(),
+        waveEnvAmt: this.waveEnvAmt.value
+    };
+};
+
+/**
+ Create a virtual analog synth from its JSON representation
+ */
+VAnalog.fromJSON = function (obj) {
+    var node = new VAnalog(obj.oscs.length, obj.numChans);
+
+    for (var i = 0; i < obj.oscs.length; ++i) {
+        var osc = node.oscs[i];
+        var oscObj = obj.oscs[i];
+
+        osc.type = oscObj.type;
+        osc.duty = oscObj.duty;
+        osc.detune = oscObj.detune;
+        osc.env = Envelope.fromJSON(oscObj.env);
+        osc.volume = oscObj.volume;
+        osc.sync = oscObj.sync;
+        osc.syncDetune = oscObj.syncDetune;
+        osc.lofi = oscObj.lofi === true;
+
+        if (oscObj.wavetable !== undefined)
+            osc.wavetable = Wavetable.fromJSON(oscObj.wavetable);
+
+        if (oscObj.unison !== undefined) {
+            osc.unison = oscObj.unison;
+            osc.unisonDetune = oscObj.unisonDetune;
+            osc.unisonSpread = oscObj.unisonSpread;
+        }
+
+        if (oscObj.modSrc !== undefined) {
+            assert(
+                oscObj.modSrc < i,
+                'oscillators can only be modulated by the ones before them'
+            );
+
+            osc.modSrc = oscObj.modSrc;
+            osc.modMode = oscObj.modMode;
+            osc.modIndex = oscObj.modIndex;
+            osc.modEnv = Envelope.fromJSON(oscObj.modEnv);
+        }
+    }
+
+    node.cutoff.value = obj.cutoff;
+    node.resonance.value = obj.resonance;
+
+    if (obj.filterMode !== undefined) {
+        node.filterMode = obj.filterMode;
+        node.filterSlope = obj.filterSlope;
+    }
+    node.filterEnv = Envelope.fromJSON(obj.filterEnv);
+    node.filterEnvAmt.value = obj.filterEnvAmt;
+    node.pitch.value = obj.pitch;
+    node.pitchEnv = Envelope.fromJSON(obj.pitchEnv);
+    node.pitchEnvAmt.value = obj.pitchEnvAmt;
+
+    if (obj.maxVoices !== undefined) {
+        node.maxVoices = obj.maxVoices;
+        node.stealMode = obj.stealMode;
+    }
+
+    if (obj.mono !== undefined) {
+        node.mono = obj.mono;
+        node.notePriority = obj.notePriority;
+        node.legato = obj.legato;
+        node.glideTime = obj.glideTime;
+    }
+
+    if (obj.velCurve !== undefined) {
+        // The curve is checked here, rather than for each note played
+        assert(
+            VANALOG_VEL_CURVES.indexOf(obj.velCurve) !== -1,
+            'invalid velocity curve: ' + obj.velCurve
+        );
+
+        node.keyTrack = obj.keyTrack;
+        node.velCurve = obj.velCurve;
+        node.velToCutoff = obj.velToCutoff;
+        node.velToAttack = obj.velToAttack;
+    }
+
+    if (obj.seed !== undefined) {
+        node.seed = obj.seed;
+        node.randGen.setSeed(obj.seed);
+    }
+
+    if (obj.bendRange !== undefined) {
+        node.bendRange = obj.bendRange;
+        node.modWheelToCutoff = obj.modWheelToCutoff;
+        node.pressureToCutoff = obj.pressureToCutoff;
+    }
+
+    if (obj.waveEnv !== undefined) {
+        node.wavePos.value = obj.wavePos;
+        node.waveEnv = Envelope.fromJSON(obj.waveEnv);
+        node.waveEnvAmt.value = obj.waveEnvAmt;
+    }
+
+    return node;
+};
+
+/**
+ Velocity curves, shaping the velocity of the notes played
+ */
+var VANALOG_VEL_CURVES = ['linear', 'soft', 'hard', 'fixed'];
+
+/**
+ Parameters holding the sound settings saved in presets
+ */
+var VANALOG_PRESET_PARAMS = [
+    'cutoff',
+    'resonance',
+    'filterEnvAmt',
+    'pitch',
+    'pitchEnvAmt',
+    'wavePos',
+    'waveEnvAmt'
+];
+
+/**
+ Fields holding the sound settings saved in presets, along with the
+ oscillators and the preset parameters
+ */
+var VANALOG_PRESET_FIELDS = [
+    'filterMode',
+    'filterSlope',
+    'keyTrack',
+    'filterEnv',
+    'pitchEnv',
+    'waveEnv',
+    'maxVoices',
+    'stealMode',
+    'mono',
+    'notePriority',
+    'legato',
+    'glideTime',
+    'velCurve',
+    'velToCutoff',
+    'velToAttack',
+    'bendRange',
+    'modWheelToCutoff',
+    'pressureToCutoff'
+];
+
+/**
+ Get a named preset holding the sound settings of the synth: its
+ oscillators, envelopes, filter and voice settings. Presets are plain
+ JSON objects, so that they can be stored and sent to the audio worklet.
+ */
+VAnalog.prototype.getPreset = function (name, category) {
+    var synth = this.toJSON();
+
+    // The node name and channel count belong to the patch
+    delete synth.name;
+    delete synth.numChans;
+
+    return {
+        name: name,
+        category: category,
+        synth: synth
+    };
+};
+
+/**
+ Load the sound settings of a preset. The active notes are silenced,
+ since their state follows the previous oscillators.
+ */
+VAnalog.prototype.setPreset = function (preset) {
+    var src = VAnalog.fromJSON(preset.synth);
+
+    this.oscs = src.oscs;
+    this.modBufs = src.modBufs;
+
+    for (var i = 0; i < VANALOG_PRESET_PARAMS.length; ++i) {
+        var name = VANALOG_PRESET_PARAMS[i];
+        this[name].value = src[name].value;
+    }
+
+    for (var i = 0; i < VANALOG_PRESET_FIELDS.length; ++i) {
+        var name = VANALOG_PRESET_FIELDS[i];
+        this[name] = src[name];
+    }
+
+    this.actNotes = [];
+    this.heldNotes = [];
+    this.monoVoice = undefined;
+    this.lastMonoNote = undefined;
+};
+
 /**
  Process an event
  */
-VAnalog.prototype.processEvent = function (evt, time) {
+VAnalog.prototype.processEvent = function (evt, time, offset) {
+    // Events falling inside the next block are applied while it is
+    // generated, so that notes start and stop at the exact sample
+    if (offset > 0) {
+        // Keep the queue sorted by offset, since events from several tracks
+        // may arrive out of order. Events at the same offset stay in the
+        // order they arrived in.
+        var queueIdx = this.evtQueue.length;
+        while (queueIdx > 0 && this.evtQueue[queueIdx - 1].offset > offset)
+            --queueIdx;
+
+        this.evtQueue.splice(queueIdx, 0, { evt: evt, offset: offset });
+        return;
+    }
+
+    // Silencing all notes also cancels the pending events
+    if (evt instanceof AllNotesOffEvt)
+        this.evtQueue = [];
+
+    this.applyEvent(evt, time);
+};
+
+/**
+ Apply an event at a given time
+ */
+VAnalog.prototype.applyEvent = function (evt, time) {
+    // In mono mode, notes are handled by a single voice
+    if (this.mono && (evt instanceof NoteOnEvt || evt instanceof NoteOffEvt)) {
+        this.applyMonoEvent(evt, time);
+        return;
+    }
+
     // Note-on event
     if (evt instanceof NoteOnEvt) {
-        // Get the note
-        var note = evt.note;
+        // Try to find the note among the active list
+        var noteState = this.findVoice(evt.note);
+
+        // If the note was not active before
+        if (noteState === undefined) {
+            // If all voices are used, steal one
+            if (this.getNumVoices() >= this.maxVoices)
+                this.stealVoice(time);
+
+            this.newVoice(evt.note, evt.vel, time);
+        }
 
+        // If the note was active before
+        else {
+            this.retriggerVoice(noteState, evt.vel, time);
+        }
+    }
+
+    // Note-off event
+    else if (evt instanceof NoteOffEvt) {
         // Try to find the note among the active list
-        var noteState = undefined;
-        for (var i = 0; i < this.actNotes.length; ++i) {
-            var state = this.actNotes[i];
+        var noteState = this.findVoice(evt.note);
 
-            if (state.note === note) {
-                noteState = state;
+        // If the note is active
+        if (noteState !== undefined)
+            this.releaseVoice(noteState, time);
+    }
+
+    // All notes off event
+    else if (evt instanceof AllNotesOffEvt) {
+        this.actNotes = [];
+        this.heldNotes = [];
+        this.monoVoice = undefined;
+        this.lastMonoNote = undefined;
+    }
+
+    // Pitch bend event
+    else if (evt instanceof PitchBendEvt) {
+        this.pitchBend = evt.bend;
+    }
+
+    // Channel pressure event
+    else if (evt instanceof ChanPressureEvt) {
+        this.chanPressure = evt.pressure;
+    }
+
+    // Polyphonic aftertouch event
+    else if (evt instanceof PolyAftertouchEvt) {
+        var noteState = this.findVoice(evt.note);
+
+        if (noteState !== undefined)
+            noteState.pressure = evt.pressure;
+    }
+
+    // Controller change event
+    else if (evt instanceof ControlEvt) {
+        switch (evt.ctrlNo) {
+            case CTRL_MOD_WHEEL:
+                this.modWheel = evt.value;
+                break;
+
+            case CTRL_VOLUME:
+                this.ctrlVolume = evt.value;
                 break;
-            }
         }
+    }
 
-        // If the note was not active before
-        if (noteState === undefined) {
-            noteState = {};
+    // Playback start event, reset the controllers
+    // and the random number generator
+    else if (evt instanceof StartEvt) {
+        this.pitchBend = 0;
+        this.modWheel = 0;
+        this.chanPressure = 0;
+        this.ctrlVolume = 1;
+
+        // The first note played does not glide
+        this.lastMonoNote = undefined;
+
+        this.randGen.setSeed(this.seed);
+    }
+
+    // By default, do nothing
+};
+
+/**
+ Find the active voice playing a given note
+ */
+VAnalog.prototype.findVoice = function (note) {
+    for (var i = 0; i < this.actNotes.length; ++i) {
+        var noteState = this.actNotes[i];
+
+        // Voices being stolen no longer respond to the note
+        if (noteState.note === note && !noteState.stolen)
+            return noteState;
+    }
+
+    return undefined;
+};
+
+/**
+ Start a new voice and add it to the active list
+ */
+VAnalog.prototype.newVoice = function (note, vel, time) {
+    var noteState = {};
+
+    // Note being played
+    noteState.note = note;
+
+    // Note velocity
+    noteState.vel = vel;
+
+    // Amplitude attack time scaling, from the velocity
+    noteState.attackScale = this.getAttackScale(vel);
 
-            // Note being played
-            noteState.note = note;
+    // Aftertouch pressure on the note
+    noteState.pressure = 0;
 
-            // Note velocity
-            noteState.vel = evt.vel;
+    // Random number generator for the noise of this voice
+    noteState.randGen = new RandGen(this.randGen.randInt());
+
+    // Time a note-on was received
+    noteState.onTime = time;
+
+    // Time a note-off was received
+    noteState.offTime = 0;
+
+    // Voice stealing flag and time the voice was stolen
+    noteState.stolen = false;
+    noteState.stealTime = 0;
+
+    // Initialize the oscillator states
+    noteState.oscs = new Array(this.oscs.length);
+    for (var i = 0; i < this.oscs.length; ++i) {
+        var oscState = {};
+        noteState.oscs[i] = oscState;
+
+        // Phase states of the unison voices, created as needed
+        oscState.phases = [];
+
+        // Envelope amplitude at note-on and note-off time
+        oscState.onAmp = 0;
+        oscState.offAmp = 0;
+
+        // Modulation envelope value at note-on and note-off time
+        oscState.modOnEnv = 0;
+        oscState.modOffEnv = 0;
+    }
+
+    // Initialize the filter state values, four per channel
+    noteState.filterSt = new Array(this.output.numChans);
+    for (var i = 0; i < noteState.filterSt.length; ++i)
+        noteState.filterSt[i] = [0, 0, 0, 0];
+
+    // Filter envelope value at note-on and note-off time
+    noteState.filterOnEnv = 0;
+    noteState.filterOffEnv = 0;
+
+    // Pitch envelope value at note-on and note-off time
+    noteState.pitchOnEnv = 0;
+    noteState.pitchOffEnv = 0;
+
+    // Wavetable position envelope value at note-on and note-off time
+    noteState.waveOnEnv = 0;
+    noteState.waveOffEnv = 0;
+
+    // Glide pitch offset in cents at the start of a glide,
+    // and time the glide started
+    noteState.glideCents = 0;
+    noteState.glideStart = 0;
+
+    // Add the note to the active list
+    this.actNotes.push(noteState);
+
+    return noteState;
+};
+
+/**
+ Restart the envelopes of an active voice, from their current values
+ */
+VAnalog.prototype.retriggerVoice = function (noteState, vel, time) {
+    // Store the oscillator amplitudes at note-on time
+    for (var i = 0; i < this.oscs.length; ++i) {
+        var oscState = noteState.oscs[i];
+
+        oscState.onAmp = this.oscs[i].env.getValue(
+            time,
+            noteState.onTime,
+            noteState.offTime,
+            oscState.onAmp,
+            oscState.offAmp,
+            noteState.attackScale
+        );
+
+        //console.log('on amp: ' + oscState.onAmp);
+
+        oscState.modOnEnv = this.oscs[i].modEnv.getValue(
+            time,
+            noteState.onTime,
+            noteState.offTime,
+            oscState.modOnEnv,
+            oscState.modOffEnv
+        );
+    }
+
+    // Filter envelope value at note-on time
+    noteState.filterOnEnv = this.filterEnv.getValue(
+        time,
+        noteState.onTime,
+        noteState.offTime,
+        noteState.filterOnEnv,
+        noteState.filterOffEnv
+    );
+
+    // Pitch envelope value at note-on time
+    noteState.pitchOnEnv = this.pitchEnv.getValue(
+        time,
+        noteState.onTime,
+        noteState.offTime,
+        noteState.pitchOnEnv,
+        noteState.pitchOffEnv
+    );
+
+    // Wavetable position envelope value at note-on time
+    noteState.waveOnEnv = this.waveEnv.getValue(
+        time,
+        noteState.onTime,
+        noteState.offTime,
+        noteState.waveOnEnv,
+        noteState.waveOffEnv
+    );
+
+    // Note velocity
+    noteState.vel = vel;
+    noteState.attackScale = this.getAttackScale(vel);
+
+    // Set the on and off times
+    noteState.onTime = time;
+    noteState.offTime = 0;
+};
+
+/**
+ Release a voice, starting the release stage of its envelopes
+ */
+VAnalog.prototype.releaseVoice = function (noteState, time) {
+    // Store the oscillator amplitudes at note-off time
+    for (var i = 0; i < this.oscs.length; ++i) {
+        var oscState = noteState.oscs[i];
+
+        oscState.offAmp = this.oscs[i].env.getValue(
+            time,
+            noteState.onTime,
+            noteState.offTime,
+            oscState.onAmp,
+            oscState.offAmp,
+            noteState.attackScale
+        );
+
+        oscState.modOffEnv = this.oscs[i].modEnv.getValue(
+            time,
+            noteState.onTime,
+            noteState.offTime,
+            oscState.modOnEnv,
+            oscState.modOffEnv
+        );
+    }
+
+    // Filter envelope value at note-off time
+    noteState.filterOffEnv = this.filterEnv.getValue(
+        time,
+        noteState.onTime,
+        noteState.offTime,
+        noteState.filterOnEnv,
+        noteState.filterOffEnv
+    );
+
+    // Pitch envelope value at note-off time
+    noteState.pitchOffEnv = this.pitchEnv.getValue(
+        time,
+        noteState.onTime,
+        noteState.offTime,
+        noteState.pitchOnEnv,
+        noteState.pitchOffEnv
+    );
+
+    // Wavetable position envelope value at note-off time
+    noteState.waveOffEnv = this.waveEnv.getValue(
+        time,
+        noteState.onTime,
+        noteState.offTime,
+        noteState.waveOnEnv,
+        noteState.waveOffEnv
+    );
+
+    // Set the note-off time
+    noteState.offTime = time;
+};
+
+/**
+ Apply a note event in mono mode. The held note with the highest
+ priority is played by the mono voice, gliding from the previous note.
+ */
+VAnalog.prototype.applyMonoEvent = function (evt, time) {
+    var held = this.heldNotes;
+
+    // Remove the note from the held notes, if present
+    for (var i = 0; i < held.length; ++i) {
+        if (held[i].note === evt.note) {
+            held.splice(i, 1);
+            break;
+        }
+    }
+
+    if (evt instanceof NoteOnEvt)
+        held.push({ note: evt.note, vel: evt.vel });
+
+    // Get the mono voice, if it is still playing
+    var voice = this.monoVoice;
+    if (voice !== undefined && (voice.stolen || this.actNotes.indexOf(voice) === -1))
+        voice = undefined;
+
+    // Choose the held note to play
+    var next = undefined;
+    for (var i = 0; i < held.length; ++i) {
+        var entry = held[i];
+
+        if (next === undefined)
+            next = entry;
+        else if (this.notePriority === 'last')
+            next = entry;
+        else if (this.notePriority === 'low' && entry.note.noteNo < next.note.noteNo)
+            next = entry;
+        else if (this.notePriority === 'high' && entry.note.noteNo > next.note.noteNo)
+            next = entry;
+    }
+
+    // If no notes are held, release the voice
+    if (next === undefined) {
+        if (voice !== undefined && voice.offTime === 0)
+            this.releaseVoice(voice, time);
+        return;
+    }
+
+    // If this note is already playing, there is nothing to change
+    if (voice !== undefined && voice.note === next.note && voice.offTime === 0)
+        return;
+
+    // Pitch to glide from, in cents
+    var fromPitch = undefined;
+    if (voice !== undefined)
+        fromPitch = 100 * voice.note.noteNo + this.getGlide(voice, time);
+    else if (this.lastMonoNote !== undefined)
+        fromPitch = 100 * this.lastMonoNote.noteNo;
+
+    // Start a new voice, or restart the envelopes unless the
+    // previous note is still held and we are playing legato
+    if (voice === undefined)
+        voice = this.newVoice(next.note, next.vel, time);
+    else if (voice.offTime !== 0 || !this.legato)
+        this.retriggerVoice(voice, next.vel, time);
+
+    voice.note = next.note;
+
+    if (this.glideTime > 0 && fromPitch !== undefined) {
+        voice.glideCents = fromPitch - 100 * next.note.noteNo;
+        voice.glideStart = time;
+    }
 
-            // Time a note-on was received
-            noteState.onTime = time;
+    this.monoVoice = voice;
+    this.lastMonoNote = next.note;
+};
 
-            // Time a note-off was received
-            noteState.offTime = 0;
+/**
+ Get the glide pitch offset of a voice at a given time, in cents
+ */
+VAnalog.prototype.getGlide = function (noteState, time) {
+    if (noteState.glideCents === 0)
+        return 0;
 
-            // Initialize the oscillator states
-            noteState.oscs = new Array(this.oscs.length);
-            for (var i = 0; i < this.oscs.length; ++i) {
-                var oscState = {};
-                noteState.oscs[i] = oscState;
+    var glidePos = (time - noteState.glideStart) / this.glideTime;
 
-                // Cycle position
-                oscState.cyclePos = 0;
+    // If the glide is over
+    if (!(glidePos < 1))
+        return 0;
 
-                // Sync cycle position
-                oscState.syncCyclePos = 0;
+    return noteState.glideCents * (1 - Math.max(0, glidePos));
+};
 
-                // Envelope amplitude at note-on and note-off time
-                oscState.onAmp = 0;
-                oscState.offAmp = 0;
-            }
+/**
+ Time taken by stolen voices to fade out, in seconds
+ */
+var VOICE_STEAL_FADE = 0.005;
 
-            // Initialize the filter state values
-            noteState.filterSt = new Array(8);
-            for (var i = 0; i < noteState.filterSt.length; ++i)
-                noteState.filterSt[i] = 0;
+/**
+ Get the number of voices in use, not counting stolen voices fading out
+ */
+VAnalog.prototype.getNumVoices = function () {
+    var numVoices = 0;
 
-            // Filter envelope value at note-on and note-off time
-            noteState.filterOnEnv = 0;
-            noteState.filterOffEnv = 0;
+    for (var i = 0; i < this.actNotes.length; ++i) {
+        if (!this.actNotes[i].stolen)
+            numVoices++;
+    }
 
-            // Pitch envelope value at note-on and note-off time
-            noteState.pitchOnEnv = 0;
-            noteState.pitchOffEnv = 0;
+    return numVoices;
+};
 
-            // Add the note to the active list
-            this.actNotes.push(noteState);
-        }
+/**
+ Map a note velocity through the velocity curve
+ */
+VAnalog.prototype.applyVelCurve = function (vel) {
+    switch (this.velCurve) {
+        case 'linear':
+            return vel;
 
-        // If the note was active before
-        else {
-            // Store the oscillator amplitudes at note-on time
-            for (var i = 0; i < this.oscs.length; ++i) {
-                var oscState = noteState.oscs[i];
+        case 'soft':
+            return Math.sqrt(vel);
 
-                oscState.onAmp = this.oscs[i].env.getValue(
-                    time,
-                    noteState.onTime,
-                    noteState.offTime,
-                    oscState.onAmp,
-                    oscState.offAmp
-                );
+        case 'hard':
+            return vel * vel;
 
-                //console.log('on amp: ' + oscState.onAmp);
-            }
+        case 'fixed':
+            return 1;
 
-            // Filter envelope value at note-on time
-            noteState.filterOnEnv = this.filterEnv.getValue(
-                time,
-                noteState.onTime,
-                noteState.offTime,
-                noteState.filterOnEnv,
-                noteState.filterOffEnv
-            );
+        default:
+            error('invalid velocity curve: ' + this.velCurve);
+    }
+};
 
-            // Pitch envelope value at note-on time
-            noteState.pitchOnEnv = this.pitchEnv.getValue(
-                time,
-                noteState.onTime,
-                noteState.offTime,
-                noteState.pitchOnEnv,
-                noteState.pitchOffEnv
-            );
+/**
+ Get the amplitude attack time scaling for a note velocity
+ */
+VAnalog.prototype.getAttackScale = function (vel) {
+    return Math.max(0, 1 - this.velToAttack * this.applyVelCurve(vel));
+};
 
-            // Note velocity
-            noteState.vel = evt.vel;
+/**
+ Get the current amplitude of a voice, summed over all oscillators
+ */
+VAnalog.prototype.getVoiceAmp = function (noteState, time) {
+    var amp = 0;
 
-            // Set the on and off times
-            noteState.onTime = time;
-            noteState.offTime = 0;
-        }
+    for (var i = 0; i < this.oscs.length; ++i) {
+        var oscParams = this.oscs[i];
+        var oscState = noteState.oscs[i];
 
-        //console.log('on time: ' + noteState.onTime);
+        amp += this.applyVelCurve(noteState.vel) * oscParams.volume * oscParams.env.getValue(
+            time,
+            noteState.onTime,
+            noteState.offTime,
+            oscState.onAmp,
+            oscState.offAmp,
+            noteState.attackScale
+        );
     }
 
-    // Note-off event
-    else if (evt instanceof NoteOffEvt) {
-        // Get the note
-        var note = evt.note;
-
-        // Try to find the note among the active list
-        var noteState = undefined;
-        for (var i = 0; i < this.actNotes.length; ++i) {
-            var state = this.actNotes[i];
-
-            if (state.note === note) {
-                noteState = state;
-                break;
-            }
-        }
+    return amp;
+};
 
-        // If the note is active
-        if (noteState !== undefined) {
-            // Store the oscillator amplitudes at note-off time
-            for (var i = 0; i < this.oscs.length; ++i) {
-                var oscState = noteState.oscs[i];
+/**
+ Steal a voice according to the stealing policy. The stolen
+ voice fades out quickly, to avoid clicks.
+ */
+VAnalog.prototype.stealVoice = function (time) {
+    var that = this;
 
-                oscState.offAmp = this.oscs[i].env.getValue(
-                    time,
-                    noteState.onTime,
-                    noteState.offTime,
-                    oscState.onAmp,
-                    oscState.offAmp
-                );
-            }
+    // Test if voice a should be stolen before voice b
+    function stealsFirst(a, b) {
+        switch (that.stealMode) {
+            case 'oldest':
+                return a.onTime < b.onTime;
 
-            // Filter envelope value at note-off time
-            noteState.filterOffEnv = this.filterEnv.getValue(
-                time,
-                noteState.onTime,
-                noteState.offTime,
-                noteState.filterOnEnv,
-                noteState.filterOffEnv
-            );
+            case 'quietest':
+                return that.getVoiceAmp(a, time) < that.getVoiceAmp(b, time);
 
+            case 'priority':
+                var aReleased = a.offTime !== 0;
+                var bReleased = b.offTime !== 0;
 
-            // Pitch envelope value at note-off time
-            noteState.pitchOffEnv = this.pitchEnv.getValue(
-                time,
-                noteState.onTime,
-                noteState.offTime,
-                noteState.pitchOnEnv,
-                noteState.pitchOffEnv
-            );
+                if (aReleased !== bReleased)
+                    return aReleased;
+                if (a.vel !== b.vel)
+                    return a.vel < b.vel;
+                return a.onTime < b.onTime;
 
-            // Set the note-off time
-            noteState.offTime = time;
+            default:
+                error('invalid voice stealing mode: ' + that.stealMode);
         }
     }
 
-    // All notes off event
-    else if (evt instanceof AllNotesOffEvt) {
-        this.actNotes = [];
+    var victim = undefined;
+    for (var i = 0; i < this.actNotes.length; ++i) {
+        var noteState = this.actNotes[i];
+
+        if (noteState.stolen)
+            continue;
+
+        if (victim === undefined || stealsFirst(noteState, victim))
+            victim = noteState;
     }
 
-    // By default, do nothing
+    if (victim === undefined)
+        return;
+
+    victim.stolen = true;
+    victim.stealTime = time;
 };
 
 /**
  Update the outputs based on the inputs
  */
 VAnalog.prototype.update = function (time, sampleRate) {
-    // If there are no active notes, do nothing
-    if (this.actNotes.length === 0)
+    // If there are no active notes or pending events, do nothing
+    if (this.actNotes.length === 0 && this.evtQueue.length === 0)
         return;
 
-    // Get the output buffer
-    var outBuf = this.output.getBuffer(0);
+    // Get the output buffers
+    var outBufs = [];
+    for (var chnIdx = 0; chnIdx < this.output.numChans; ++chnIdx)
+        outBufs.push(this.output.getBuffer(chnIdx));
 
     // Initialize the output to 0
-    for (var i = 0; i < outBuf.length; ++i)
-        outBuf[i] = 0;
+    for (var chnIdx = 0; chnIdx < outBufs.length; ++chnIdx) {
+        for (var i = 0; i < SYNTH_BUF_SIZE; ++i)
+            outBufs[chnIdx][i] = 0;
+    }
+
+    // Generate the block in segments, applying the queued
+    // events at their sample offset in between
+    var startIdx = 0;
+    for (var i = 0; i < this.evtQueue.length; ++i) {
+        var offset = this.evtQueue[i].offset;
+
+        this.genNotes(time, outBufs, startIdx, offset, sampleRate);
+        this.applyEvent(this.evtQueue[i].evt, time + offset / sampleRate);
+
+        startIdx = offset;
+    }
+    this.evtQueue = [];
+
+    this.genNotes(time, outBufs, startIdx, SYNTH_BUF_SIZE, sampleRate);
+};
+
+/**
+ Generate the active notes for a segment of the output buffers
+ @param time time at the start of the output buffers
+ @param outBufs output buffers, one per channel
+ @param startIdx first sample of the segment
+ @param endIdx sample past the end of the segment
+ */
+VAnalog.prototype.genNotes = function (time,
+                                       outBufs,
+                                       startIdx,
+                                       endIdx,
+                                       sampleRate) {
+    var numSmps = endIdx - startIdx;
+    var numChans = outBufs.length;
+
+    // If the segment is empty, do nothing
+    if (numSmps <= 0)
+        return;
+
+    // Get the time at the start and end of the segment
+    var startTime = time + (startIdx / sampleRate);
+    var endTime = time + ((endIdx - 1) / sampleRate);
 
-    // Get the time at the end of the buffer
-    var endTime = time + ((outBuf.length - 1) / sampleRate);
+    // Gain of a unison voice in each channel
+    var voiceGains = new Array(numChans);
 
     // For each active note
     for (var i = 0; i < this.actNotes.length; ++i) {
         var noteState = this.actNotes[i];
 
-        // Initialize the note buffer to 0
-        for (var smpIdx = 0; smpIdx < outBuf.length; ++smpIdx)
-            this.noteBuf[smpIdx] = 0;
+        // Initialize the note buffers to 0
+        for (var chnIdx = 0; chnIdx < numChans; ++chnIdx) {
+            for (var smpIdx = startIdx; smpIdx < endIdx; ++smpIdx)
+                this.noteBufs[chnIdx][smpIdx] = 0;
+        }
 
         // Maximum end amplitude value
         var maxEndAmp = 0;
 
+        // Flag indicating all amplitude envelopes are done
+        var envsDone = true;
+
         // For each oscillator
         for (var oscNo = 0; oscNo < this.oscs.length; ++oscNo) {
             var oscParams = this.oscs[oscNo];
             var oscState = noteState.oscs[oscNo];
 
-            // Generate the oscillator signal
-            this.genOsc(
-                time,
-                this.oscBuf,
-                oscParams,
-                oscState,
-                noteState,
-                sampleRate
-            );
+            // Initialize the oscillator buffers to 0
+            for (var chnIdx = 0; chnIdx < numChans; ++chnIdx) {
+                for (var smpIdx = startIdx; smpIdx < endIdx; ++smpIdx)
+                    this.oscBufs[chnIdx][smpIdx] = 0;
+            }
+
+            // Get the modulating signal and the modulation amount
+            var modBuf = undefined;
+            var modAmt = 0;
+            // The modulation source is validated when the patch is loaded,
+            // an invalid source is ignored here rather than stopping the audio
+            if (oscParams.modSrc >= 0 && oscParams.modSrc < oscNo) {
+                modBuf = this.modBufs[oscParams.modSrc];
+                modAmt = oscParams.modIndex * oscParams.modEnv.getValue(
+                    startTime,
+                    noteState.onTime,
+                    noteState.offTime,
+                    oscState.modOnEnv,
+                    oscState.modOffEnv
+                );
+            }
+
+            // Initialize the modulation buffer of this oscillator to 0
+            var oscModBuf = this.modBufs[oscNo];
+            for (var smpIdx = startIdx; smpIdx < endIdx; ++smpIdx)
+                oscModBuf[smpIdx] = 0;
+
+            var unison = oscParams.unison;
+
+            // Create the phase states for new unison voices
+            while (oscState.phases.length < unison) {
+                oscState.phases.push({
+                    // Cycle position, spread across the voices
+                    cyclePos: oscState.phases.length / unison,
+
+                    // Sync cycle position
+                    syncCyclePos: 0,
+
+                    // Waveform jump at the last sync reset
+                    syncJump: 0,
+
+                    // Coloured noise filter state
+                    noiseSt: [0, 0, 0, 0, 0, 0, 0]
+                });
+            }
+
+            // For each unison voice
+            for (var voiceNo = 0; voiceNo < unison; ++voiceNo) {
+                // Position of the voice in the unison spread [-1,1]
+                var spreadPos = (unison > 1) ? (2 * voiceNo / (unison - 1)) - 1 : 0;
+
+                // Generate the voice signal
+                this.genOsc(
+                    startTime,
+                    this.voiceBuf,
+                    oscParams,
+                    oscState.phases[voiceNo],
+                    noteState,
+                    sampleRate,
+                    startIdx,
+                    endIdx,
+                    spreadPos * oscParams.unisonDetune / 2,
+                    (oscParams.modMode !== 'ring') ? modBuf : undefined,
+                    modAmt
+                );
+
+                // The voices are scaled to keep the loudness constant.
+                // In stereo, each voice is panned across the spread.
+                var gain = 1 / Math.sqrt(unison);
+                if (numChans === 1) {
+                    voiceGains[0] = gain;
+                }
+                else {
+                    var pan = spreadPos * oscParams.unisonSpread;
+                    voiceGains[0] = gain * Math.min(1, 1 - pan);
+                    voiceGains[1] = gain * Math.min(1, 1 + pan);
+                }
+
+                // Accumulate the voice in the oscillator buffers
+                for (var chnIdx = 0; chnIdx < numChans; ++chnIdx) {
+                    var oscBuf = this.oscBufs[chnIdx];
+                    var voiceGain = voiceGains[chnIdx];
+
+                    for (var smpIdx = startIdx; smpIdx < endIdx; ++smpIdx)
+                        oscBuf[smpIdx] += voiceGain * this.voiceBuf[smpIdx];
+                }
+
+                // Accumulate the voice in the modulation buffer
+                for (var smpIdx = startIdx; smpIdx < endIdx; ++smpIdx)
+                    oscModBuf[smpIdx] += gain * this.voiceBuf[smpIdx];
+            }
+
+            // Apply the ring modulation, blending from the
+            // unmodulated signal with the depth
+            if (modBuf !== undefined && oscParams.modMode === 'ring') {
+                for (var chnIdx = 0; chnIdx < numChans; ++chnIdx) {
+                    var oscBuf = this.oscBufs[chnIdx];
+
+                    for (var smpIdx = startIdx; smpIdx < endIdx; ++smpIdx)
+                        oscBuf[smpIdx] *= 1 + modAmt * (modBuf[smpIdx] - 1);
+                }
+            }
 
             // Compute the note volume
-            var noteVol = noteState.vel * oscParams.volume;
+            var noteVol = this.ctrlVolume * this.applyVelCurve(noteState.vel) * oscParams.volume;
 
-            // Get the amplitude value at the start of the buffer
+            // Get the amplitude value at the start of the segment
             var ampStart = noteVol * oscParams.env.getValue(
-                    time,
+                    startTime,
                     noteState.onTime,
                     noteState.offTime,
                     oscState.onAmp,
-                    oscState.offAmp
+                    oscState.offAmp,
+                    noteState.attackScale
                 );
 
-            // Get the envelope value at the end of the buffer
+            // Get the envelope value at the end of the segment
             var ampEnd = noteVol * oscParams.env.getValue(
                     endTime,
                     noteState.onTime,
                     noteState.offTime,
                     oscState.onAmp,
-                    oscState.offAmp
+                    oscState.offAmp,
+                    noteState.attackScale
                 );
 
-            //console.log('start time: ' + time);
-            //console.log('start env: ' + envStart);
-            //console.log('end: ' + envEnd);
-
             // Update the maximum end envelope value
             maxEndAmp = Math.max(maxEndAmp, ampEnd);
 
-            // Modulate the output based on the amplitude envelope
-            for (var smpIdx = 0; smpIdx < outBuf.length; ++smpIdx) {
-                var ratio = (smpIdx / (outBuf.length - 1));
-                this.oscBuf[smpIdx] *= ampStart + ratio * (ampEnd - ampStart);
-            }
+            envsDone = envsDone && oscParams.env.isDone(
+                endTime,
+                noteState.onTime,
+                noteState.offTime,
+                noteState.attackScale
+            );
+
+            for (var chnIdx = 0; chnIdx < numChans; ++chnIdx) {
+                var oscBuf = this.oscBufs[chnIdx];
+                var noteBuf = this.noteBufs[chnIdx];
 
-            // Accumulate the sample values in the note buffer
-            for (var smpIdx = 0; smpIdx < outBuf.length; ++smpIdx)
-                this.noteBuf[smpIdx] += this.oscBuf[smpIdx];
+                // Modulate the output based on the amplitude envelope
+                for (var smpIdx = startIdx; smpIdx < endIdx; ++smpIdx) {
+                    var ratio = (numSmps > 1) ? (smpIdx - startIdx) / (numSmps - 1) : 0;
+                    oscBuf[smpIdx] *= ampStart + ratio * (ampEnd - ampStart);
+                }
+
+                // Accumulate the sample values in the note buffer
+                for (var smpIdx = startIdx; smpIdx < endIdx; ++smpIdx)
+                    noteBuf[smpIdx] += oscBuf[smpIdx];
+            }
         }
 
-        // Apply the filter to the temp buffer
-        this.applyFilter(time, noteState, this.noteBuf);
+        for (var chnIdx = 0; chnIdx < numChans; ++chnIdx) {
+            var noteBuf = this.noteBufs[chnIdx];
+
+            // Apply the filter to the temp buffer
+            this.applyFilter(
+                startTime,
+                noteState,
+                noteBuf,
+                startIdx,
+                endIdx,
+                sampleRate,
+                chnIdx
+            );
+
+            // Fade out stolen voices
+            if (noteState.stolen) {
+                for (var smpIdx = startIdx; smpIdx < endIdx; ++smpIdx) {
+                    var smpTime = time + (smpIdx / sampleRate);
+                    var fade = 1 - (smpTime - noteState.stealTime) / VOICE_STEAL_FADE;
+                    noteBuf[smpIdx] *= Math.max(0, fade);
+                }
+            }
+
+            // Accumulate the sample values in the output buffer
+            for (var smpIdx = startIdx; smpIdx < endIdx; ++smpIdx)
+                outBufs[chnIdx][smpIdx] += noteBuf[smpIdx];
+        }
 
-        // Accumulate the sample values in the output buffer
-        for (var smpIdx = 0; smpIdx < outBuf.length; ++smpIdx)
-            outBuf[smpIdx] += this.noteBuf[smpIdx];
+        // Stolen voices are done once faded out
+        if (noteState.stolen && endTime >= noteState.stealTime + VOICE_STEAL_FADE)
+            maxEndAmp = 0;
 
-        // If all envelopes have fallen to 0, remove the note from the active list        
-        if (maxEndAmp === 0) {
+        // If all envelopes are done and have fallen to 0, or the voice
+        // was stolen and faded out, remove the note from the active list
+        if (maxEndAmp === 0 && (envsDone || noteState.stolen)) {
             this.actNotes.splice(i, 1);
             i--;
         }
@@ -366,16 +1533,158 @@ VAnalog.prototype.update = function (time, sampleRate) {
 };
 
 /**
- Generate output for an oscillator and update its position
+ Get the value of a naive, non band-limited, waveform
+ @param cyclePos cycle position in [0,1)
+ @param duty duty cycle, for pulse waves
+ */
+function naiveWave(type, cyclePos, duty) {
+    // Switch on the oscillator type/waveform
+    switch (type) {
+        // Sine wave
+        case 'sine':
+            return Math.sin(2 * Math.PI * cyclePos);
+
+        // Triangle wave
+        case 'triangle':
+            if (cyclePos < 0.5)
+                return (4 * cyclePos) - 1;
+            else
+                return 1 - (4 * (cyclePos - 0.5));
+
+        // Sawtooth wave
+        case 'sawtooth':
+            return -1 + (2 * cyclePos);
+
+        // Pulse wave
+        case 'pulse':
+            if (cyclePos < duty)
+                return -1;
+            else
+                return 1;
+
+        default:
+            error('invalid waveform: ' + type);
+    }
+}
+
+/**
+ Test if an oscillator type produces noise
+ */
+function isNoise(type) {
+    return type === 'noise' || type === 'pink-noise' || type === 'brown-noise';
+}
+
+/**
+ Generate a noise sample. Pink noise is white noise filtered to fall by
+ 3 dB per octave, using Paul Kellet's refined filter. Brown noise falls by
+ 6 dB per octave, integrating white noise with a slight leak.
+ @param randGen random number generator
+ @param noiseSt noise filter state
+ */
+function genNoise(type, randGen, noiseSt) {
+    var white = 1 - 2 * randGen.random();
+
+    switch (type) {
+        case 'noise':
+            return white;
+
+        case 'pink-noise':
+            var st = noiseSt;
+            st[0] = 0.99886 * st[0] + white * 0.0555179;
+            st[1] = 0.99332 * st[1] + white * 0.0750759;
+            st[2] = 0.96900 * st[2] + white * 0.1538520;
+            st[3] = 0.86650 * st[3] + white * 0.3104856;
+            st[4] = 0.55000 * st[4] + white * 0.5329522;
+            st[5] = -0.7616 * st[5] - white * 0.0168980;
+            var pink = st[0] + st[1] + st[2] + st[3] + st[4] + st[5] + st[6] + white * 0.5362;
+            st[6] = white * 0.115926;
+            return 0.11 * pink;
+
+        case 'brown-noise':
+            noiseSt[0] = (noiseSt[0] + 0.02 * white) / 1.02;
+            return 3.5 * noiseSt[0];
+
+        default:
+            error('invalid noise type: ' + type);
+    }
+}
+
+/**
+ Get the fractional part of a number
+ */
+function fracPart(x) {
+    return x - Math.floor(x);
+}
+
+/**
+ Polynomial band-limited step (PolyBLEP). Correction to add to a
+ waveform around a step of height 1 located at cycle position 0.
+ @param t cycle position in [0,1)
+ @param dt cycle position change per sample
+ */
+function polyBLEP(t, dt) {
+    // Just after the step
+    if (t < dt) {
+        var x = t / dt;
+        return -(1 - x) * (1 - x) / 2;
+    }
+
+    // Just before the step
+    if (t > 1 - dt) {
+        var x = (t - 1) / dt;
+        return (1 + x) * (1 + x) / 2;
+    }
+
+    return 0;
+}
+
+/**
+ Polynomial band-limited ramp (PolyBLAMP), the integral of the PolyBLEP.
+ Correction to add to a waveform around a corner located at cycle position
+ 0, where the slope increases by 1 per sample.
+ @param t cycle position in [0,1)
+ @param dt cycle position change per sample
+ */
+function polyBLAMP(t, dt) {
+    // Just after the corner
+    if (t < dt) {
+        var x = t / dt;
+        return (1 - x) * (1 - x) * (1 - x) / 6;
+    }
+
+    // Just before the corner
+    if (t > 1 - dt) {
+        var x = (t - 1) / dt;
+        return (1 + x) * (1 + x) * (1 + x) / 6;
+    }
+
+    return 0;
+}
+
+/**
+ Generate output for an oscillator voice and update its position
+ @param time time at the start of the segment to generate
+ @param phaseState cycle positions of the voice
+ @param startIdx first sample of the segment
+ @param endIdx sample past the end of the segment
+ @param voiceDetune detuning of the unison voice, in cents
+ @param modBuf modulating signal for frequency or phase modulation,
+ undefined for none
+ @param modAmt modulation index
  */
 VAnalog.prototype.genOsc = function (time,
                                      outBuf,
                                      oscParams,
-                                     oscState,
+                                     phaseState,
                                      noteState,
-                                     sampleRate) {
+                                     sampleRate,
+                                     startIdx,
+                                     endIdx,
+                                     voiceDetune,
+                                     modBuf,
+                                     modAmt) {
     // Get the pitch envelope detuning value
-    var envDetune = this.pitchEnvAmt * this.pitchEnv.getValue(
+    var envDetune = this.pitchEnvAmt.values[startIdx] * this.pitchEnv.getValue(
             time,
             noteState.onTime,
             noteState.offTime,
@@ -383,103 +1692,261 @@ VAnalog.prototype.genOsc = function (time,
             noteState.pitchOffEnv
         );
 
+    // Get the pitch offset values
+    var pitchBuf = this.pitch.values;
+    var pitchConst = this.pitch.constant;
+
     // Get the note
     var note = noteState.note;
 
+    // Get the glide pitch offset, in mono mode
+    var glideCents = this.getGlide(noteState, time);
+    var gliding = (glideCents !== 0);
+
+    // Get the pitch bend offset
+    var bendCents = this.pitchBend * this.bendRange;
+
     // Get the oscillator frequency
-    var freq = note.getFreq(oscParams.detune + envDetune);
+    var freq = note.getFreq(
+        oscParams.detune + voiceDetune + envDetune + pitchBuf[startIdx] + glideCents + bendCents
+    );
 
     // Get the initial cycle position
-    var cyclePos = oscState.cyclePos;
+    var cyclePos = phaseState.cyclePos;
 
     // Compute the cycle position change between resources
     var deltaPos = freq / sampleRate;
 
     // Get the sync oscillator frequency
-    var syncFreq = note.getFreq(oscParams.syncDetune);
+    var syncFreq = note.getFreq(
+        oscParams.syncDetune + voiceDetune + pitchBuf[startIdx] + glideCents + bendCents
+    );
 
     // Get the initial sync cycle position
-    var syncCyclePos = oscState.syncCyclePos;
+    var syncCyclePos = phaseState.syncCyclePos;
 
     // Compute the cycle position change between resources
     var syncDeltaPos = syncFreq / sampleRate;
 
+    // Base cycle position changes, before pitch modulation
+    var baseDelta = deltaPos;
+    var syncBaseDelta = syncDeltaPos;
+
+    var type = oscParams.type;
+    var duty = oscParams.duty;
+
+    // For wavetables, get the position envelope value and position values
+    if (type === 'wavetable') {
+        var wavetable = oscParams.wavetable;
+
+        assert(
+            wavetable instanceof Wavetable,
+            'wavetable oscillator without a wavetable'
+        );
+
+        var waveEnvVal = this.waveEnvAmt.values[startIdx] * this.waveEnv.getValue(
+            time,
+            noteState.onTime,
+            noteState.offTime,
+            noteState.waveOnEnv,
+            noteState.waveOffEnv
+        );
+
+        var wavePosBuf = this.wavePos.values;
+    }
+
+    // Waveform jump at the last sync reset
+    var syncJump = phaseState.syncJump;
+
+    // Frequency and phase modulation flags
+    var freqMod = (modBuf !== undefined && oscParams.modMode === 'fm');
+    var phaseMod = (modBuf !== undefined && oscParams.modMode === 'pm');
+
     // For each sample to be produced
-    for (var i = 0; i < outBuf.length; ++i) {
-        // Switch on the oscillator type/waveform
-        switch (oscParams.type) {
-            // Sine wave        
-            case 'sine':
-                outBuf[i] = Math.sin(2 * Math.PI * cyclePos);
-                break;
+    for (var i = startIdx; i < endIdx; ++i) {
+        // If the pitch is modulated or gliding, adjust the frequencies
+        if (!pitchConst || gliding) {
+            var pitchDelta = pitchBuf[i] - pitchBuf[startIdx];
+
+            if (gliding) {
+                var smpTime = time + (i - startIdx) / sampleRate;
+                pitchDelta += this.getGlide(noteState, smpTime) - glideCents;
+            }
 
-            // Triangle wave
-            case 'triangle':
-                if (cyclePos < 0.5)
-                    outBuf[i] = (4 * cyclePos) - 1;
-                else
-                    outBuf[i] = 1 - (4 * (cyclePos - 0.5));
-                break;
+            var pitchRatio = Math.pow(2, pitchDelta / CENTS_PER_OCTAVE);
+            deltaPos = baseDelta * pitchRatio;
+            syncDeltaPos = syncBaseDelta * pitchRatio;
+        }
 
-            // Sawtooth wave
-            case 'sawtooth':
-                outBuf[i] = -1 + (2 * cyclePos);
-                break;
+        // Cycle position the waveform is read at, offset by phase modulation
+        var readPos = cyclePos;
+        if (phaseMod)
+            readPos = fracPart(cyclePos + modAmt * modBuf[i] / (2 * Math.PI));
 
-            // Pulse wave
-            case 'pulse':
-                if (cyclePos < oscParams.duty)
-                    outBuf[i] = -1;
-                else
-                    outBuf[i] = 1;
-                break;
+        var val;
 
-            // Noise
-            case 'noise':
-                outBuf[i] = 1 - 2 * Math.random();
-                break;
+        if (type === 'wavetable') {
+            var wavePos = Math.max(0, Math.min(1, wavePosBuf[i] + waveEnvVal));
+            val = wavetable.getValue(readPos, wavePos);
+        }
+        else if (isNoise(type)) {
+            val = genNoise(type, noteState.randGen, phaseState.noiseSt);
+        }
+        else {
+            val = naiveWave(type, readPos, duty);
+        }
 
-            default:
-                error('invalid waveform: ' + oscParams.type);
+        // Smooth the discontinuities of the waveform to band-limit it,
+        // for frequencies below the Nyquist frequency. Wavetable frames
+        // and frequency or phase modulated waveforms are played as they are.
+        if (!oscParams.lofi &&
+            !isNoise(type) &&
+            type !== 'wavetable' &&
+            modBuf === undefined &&
+            deltaPos < 0.5) {
+            // Flag indicating the sync oscillator wraps around within
+            // one sample, resetting this oscillator instead of its own wrap
+            var syncing = oscParams.sync && (
+                syncCyclePos < syncDeltaPos ||
+                syncCyclePos > 1 - syncDeltaPos
+            );
+
+            var wrapCorr = 0;
+
+            switch (type) {
+                case 'triangle':
+                    wrapCorr = 8 * deltaPos * polyBLAMP(cyclePos, deltaPos);
+                    val -= 8 * deltaPos * polyBLAMP(fracPart(cyclePos - 0.5), deltaPos);
+                    break;
+
+                case 'sawtooth':
+                    wrapCorr = -2 * polyBLEP(cyclePos, deltaPos);
+                    break;
+
+                case 'pulse':
+                    wrapCorr = -2 * polyBLEP(cyclePos, deltaPos);
+                    val += 2 * polyBLEP(fracPart(cyclePos - duty), deltaPos);
+                    break;
+            }
+
+            if (!syncing)
+                val += wrapCorr;
+
+            // Smooth the jump caused by the sync reset
+            if (syncing) {
+                // If the reset is in the next sample, predict the jump
+                if (syncCyclePos > 1 - syncDeltaPos) {
+                    var wrapPos = cyclePos + deltaPos * (1 - syncCyclePos) / syncDeltaPos;
+                    syncJump = naiveWave(type, 0, duty) - naiveWave(type, fracPart(wrapPos), duty);
+                }
+
+                val += syncJump * polyBLEP(syncCyclePos, syncDeltaPos);
+            }
         }
 
-        cyclePos += deltaPos;
+        outBuf[i] = val;
 
-        if (cyclePos > 1)
-            cyclePos -= 1;
+        if (freqMod)
+            cyclePos += deltaPos * (1 + modAmt * modBuf[i]);
+        else
+            cyclePos += deltaPos;
+
+        // Frequency modulation can move the position by more
+        // than one cycle, or backwards
+        if (cyclePos >= 1 || cyclePos < 0)
+            cyclePos = fracPart(cyclePos);
 
         if (oscParams.sync) {
             syncCyclePos += syncDeltaPos;
 
             if (syncCyclePos > 1) {
                 syncCyclePos -= 1;
-                cyclePos = 0;
+
+                if (oscParams.lofi || type === 'wavetable') {
+                    cyclePos = 0;
+                }
+                else {
+                    // Position this oscillator had when the sync
+                    // oscillator wrapped around, within the last sample
+                    var syncFrac = syncCyclePos / syncDeltaPos;
+                    var resetPos = fracPart(cyclePos - syncFrac * deltaPos);
+
+                    syncJump = naiveWave(type, 0, duty) - naiveWave(type, resetPos, duty);
+                    cyclePos = syncFrac * deltaPos;
+                }
             }
         }
     }
 
+    // Store the last sync jump
+    phaseState.syncJump = syncJump;
+
     // Set the final cycle position
-    oscState.cyclePos = cyclePos;
+    phaseState.cyclePos = cyclePos;
 
     // Set the final sync cycle position
-    oscState.syncCyclePos = syncCyclePos;
+    phaseState.syncCyclePos = syncCyclePos;
 };
 
 /**
- Apply a filter to a buffer of resources
- IIR, 2-pole, resonant Low Pass Filter (LPF)
+ Lowest and highest filter cutoff frequencies, in Hz
+ */
+var FILTER_MIN_FREQ = 20;
+var FILTER_MAX_FREQ = 20000;
+
+/**
+ Number of cents spanned by the full cutoff range
+ */
+var CUTOFF_RANGE_CENTS = CENTS_PER_OCTAVE * Math.log(FILTER_MAX_FREQ / FILTER_MIN_FREQ) / Math.LN2;
+
+/**
+ Note number at which key tracking leaves the cutoff unchanged (C4)
+ */
+var KEY_TRACK_NOTE_NO = 60;
+
+/**
+ Soft saturation keeping the resonant filters stable
+ */
+function filterSat(x) {
+    return 2 * Math.tanh(x / 2);
+}
+
+/**
+ Apply a filter to a segment of a buffer of resources. The 12 dB slope
+ uses a 2-pole state variable filter and the 24 dB slope a 4-pole ladder
+ filter, both with zero-delay feedback. At maximum resonance, the filters
+ self-oscillate and are kept stable by saturation.
  */
-VAnalog.prototype.applyFilter = function (time, noteState, buffer) {
+VAnalog.prototype.applyFilter = function (time,
+                                          noteState,
+                                          buffer,
+                                          startIdx,
+                                          endIdx,
+                                          sampleRate,
+                                          chnIdx) {
     assert(
-        this.cutoff >= 0 && this.cutoff <= 1,
+        this.cutoff.value >= 0 && this.cutoff.value <= 1,
         'invalid filter cutoff'
     );
 
     assert(
-        this.resonance >= 0 && this.resonance <= 1,
+        this.resonance.value >= 0 && this.resonance.value <= 1,
         'invalid filter resonance'
     );
 
+    assert(
+        this.filterSlope === 12 || this.filterSlope === 24,
+        'invalid filter slope'
+    );
+
+    var mode = this.filterMode;
+
+    assert(
+        mode === 'lowpass' || mode === 'highpass' ||
+        mode === 'bandpass' || mode === 'notch',
+        'invalid filter mode: ' + mode
+    );
+
     var filterEnvVal = this.filterEnv.getValue(
         time,
         noteState.onTime,
@@ -488,26 +1955,140 @@ VAnalog.prototype.applyFilter = function (time, noteState, buffer) {
         noteState.filterOffEnv
     );
 
-    var filterEnvMag = (1 - this.cutoff) * this.filterEnvAmt;
+    var filterEnvAmt = this.filterEnvAmt.values[startIdx];
+
+    // Compute the cutoff offset from key tracking, following the
+    // gliding pitch in mono mode, from the velocity and the controllers
+    var notePitch = 100 * (noteState.note.noteNo - KEY_TRACK_NOTE_NO) + this.getGlide(noteState, time);
+    var pressure = Math.max(this.chanPressure, noteState.pressure);
+    var cutoffOffset =
+        this.keyTrack * notePitch / CUTOFF_RANGE_CENTS +
+        this.velToCutoff * this.applyVelCurve(noteState.vel) +
+        this.modWheelToCutoff * this.modWheel +
+        this.pressureToCutoff * pressure;
 
-    var cutoff = this.cutoff + filterEnvMag * filterEnvVal;
+    var cutoffBuf = this.cutoff.values;
+    var resBuf = this.resonance.values;
 
-    var c = Math.pow(0.5, (1 - cutoff) / 0.125);
-    var r = Math.pow(0.5, (this.resonance + 0.125) / 0.125);
+    // If the cutoff and resonance are modulated, the filter
+    // coefficients are recomputed for every sample
+    var constant = this.cutoff.constant && this.resonance.constant;
 
-    var mrc = 1 - r * c;
+    var ladder = (this.filterSlope === 24);
 
-    var v0 = noteState.filterSt[0];
-    var v1 = noteState.filterSt[1];
+    // Integrator gain and feedback amount
+    var g, k;
 
-    for (var i = 0; i < buffer.length; ++i) {
-        v0 = (mrc * v0) - (c * v1) + (c * buffer[i]);
-        v1 = (mrc * v1) + (c * v0);
+    function setCoeffs(baseCutoff, resonance) {
+        baseCutoff += cutoffOffset;
 
-        buffer[i] = v1;
+        // Modulated values may go out of range
+        baseCutoff = Math.max(0, Math.min(1, baseCutoff));
+        resonance = Math.max(0, Math.min(1, resonance));
+
+        var filterEnvMag = (1 - baseCutoff) * filterEnvAmt;
+
+        var cutoff = baseCutoff + filterEnvMag * filterEnvVal;
+
+        // The cutoff maps exponentially to the frequency range
+        var freq = FILTER_MIN_FREQ * Math.pow(FILTER_MAX_FREQ / FILTER_MIN_FREQ, cutoff);
+        freq = Math.min(freq, 0.49 * sampleRate);
+
+        g = Math.tan(Math.PI * freq / sampleRate);
+
+        // The feedback goes slightly past the point of self-oscillation
+        if (ladder)
+            k = 4.1 * resonance;
+        else
+            k = 2 - 2.05 * resonance;
     }
 
-    noteState.filterSt[0] = v0;
-    noteState.filterSt[1] = v1;
-};
+    setCoeffs(cutoffBuf[startIdx], resBuf[startIdx]);
+
+    // Filter state for this channel
+    var st = noteState.filterSt[chnIdx];
+
+    for (var i = startIdx; i < endIdx; ++i) {
+        if (!constant)
+            setCoeffs(cutoffBuf[i], resBuf[i]);
+
+        var x = buffer[i];
+
+        // 4-pole ladder, four one-pole stages with global feedback
+        if (ladder) {
+            var G = g / (1 + g);
+            var B = 1 / (1 + g);
+
+            // Solve the feedback loop for the ladder input
+            var S = B * (G * (G * (G * st[0] + st[1]) + st[2]) + st[3]);
+            var u = filterSat((x - k * S) / (1 + k * G * G * G * G));
+
+            var v = G * (u - st[0]);
+            var y1 = v + st[0];
+            st[0] = y1 + v;
+
+            v = G * (y1 - st[1]);
+            var y2 = v + st[1];
+            st[1] = y2 + v;
+
+            v = G * (y2 - st[2]);
+            var y3 = v + st[2];
+            st[2] = y3 + v;
+
+            v = G * (y3 - st[3]);
+            var y4 = v + st[3];
+            st[3] = y4 + v;
+
+            // Mix the stage outputs for each mode
+            switch (mode) {
+                case 'lowpass':
+                    buffer[i] = y4;
+                    break;
 
+                case 'highpass':
+                    buffer[i] = u - 4 * y1 + 6 * y2 - 4 * y3 + y4;
+                    break;
+
+                case 'bandpass':
+                    buffer[i] = 4 * (y2 - 2 * y3 + y4);
+                    break;
+
+                case 'notch':
+                    buffer[i] = u - 4 * y1 + 8 * y2 - 8 * y3 + 4 * y4;
+                    break;
+            }
+        }
+
+        // 2-pole state variable filter
+        else {
+            var a1 = 1 / (1 + g * (g + k));
+            var a2 = g * a1;
+            var a3 = g * a2;
+
+            var v3 = x - st[1];
+            var band = a1 * st[0] + a2 * v3;
+            var low = st[1] + a2 * st[0] + a3 * v3;
+
+            st[0] = filterSat(2 * band - st[0]);
+            st[1] = 2 * low - st[1];
+
+            switch (mode) {
+                case 'lowpass':
+                    buffer[i] = low;
+                    break;
+
+                case 'highpass':
+                    buffer[i] = x - k * band - low;
+                    break;
+
+                case 'bandpass':
+                    buffer[i] = band;
+                    break;
+
+                case 'notch':
+                    buffer[i] = x - k * band;
+                    break;
+            }
+        }
+    }
+};
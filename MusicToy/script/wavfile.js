@@ -0,0 +1,200 @@
+//============================================================================
+// WAV file encoding and decoding
+//============================================================================
+
+/**
+ Encode channel buffers as a PCM WAV file.
+ @param chanBufs array of sample buffers, one per channel, in [-1, 1]
+ @param sampleRate sample rate of the audio data
+ @param bitDepth bits per sample, 16 or 24 (defaults to 16)
+ @returns an ArrayBuffer containing the WAV file data
+ */
+function encodeWAV(chanBufs, sampleRate, bitDepth) {
+    if (bitDepth === undefined)
+        bitDepth = 16;
+
+    assert(
+        bitDepth === 16 || bitDepth === 24,
+        'unsupported bit depth: ' + bitDepth
+    );
+
+    assert(
+        chanBufs.length > 0,
+        'no channels to encode'
+    );
+
+    var numChans = chanBufs.length;
+    var numSamples = chanBufs[0].length;
+
+    for (var chnIdx = 1; chnIdx < numChans; ++chnIdx) {
+        assert(
+            chanBufs[chnIdx].length === numSamples,
+            'mismatch in channel buffer lengths'
+        );
+    }
+
+    var bytesPerSample = bitDepth / 8;
+    var blockAlign = numChans * bytesPerSample;
+    var dataSize = numSamples * blockAlign;
+
+    var buffer = new ArrayBuffer(44 + dataSize);
+    var view = new DataView(buffer);
+
+    function writeStr(pos, str) {
+        for (var i = 0; i < str.length; ++i)
+            view.setUint8(pos + i, str.charCodeAt(i));
+    }
+
+    // RIFF header
+    writeStr(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeStr(8, 'WAVE');
+
+    // Format chunk, integer PCM
+    writeStr(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, numChans, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+
+    // Data chunk
+    writeStr(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // Maximum positive integer sample value
+    var maxVal = Math.pow(2, bitDepth - 1) - 1;
+
+    // Write the interleaved sample values
+    var pos = 44;
+    for (var i = 0; i < numSamples; ++i) {
+        for (var chnIdx = 0; chnIdx < numChans; ++chnIdx) {
+            // Clip the sample value to [-1, 1]
+            var s = Math.max(-1, Math.min(1, chanBufs[chnIdx][i]));
+
+            var val = Math.round(s * maxVal);
+
+            if (bitDepth === 16) {
+                view.setInt16(pos, val, true);
+            }
+            else {
+                view.setUint8(pos, val & 0xFF);
+                view.setUint8(pos + 1, (val >> 8) & 0xFF);
+                view.setUint8(pos + 2, (val >> 16) & 0xFF);
+            }
+
+            pos += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ Decode a PCM or floating-point WAV file.
+ @param data an ArrayBuffer containing the WAV file data
+ @returns an object with the sampleRate and an array of chanBufs,
+ one Float64Array per channel, with values in [-1, 1]
+ */
+function decodeWAV(data) {
+    var view = new DataView(data);
+
+    function readStr(pos, len) {
+        var str = '';
+        for (var i = 0; i < len; ++i)
+            str += String.fromCharCode(view.getUint8(pos + i));
+        return str;
+    }
+
+    assert(
+        readStr(0, 4) === 'RIFF' && readStr(8, 4) === 'WAVE',
+        'not a WAV file'
+    );
+
+    var format = undefined;
+    var numChans = 0;
+    var sampleRate = 0;
+    var bitDepth = 0;
+
+    // Find the format and data chunks
+    var pos = 12;
+    while (pos + 8 <= view.byteLength) {
+        var chunkId = readStr(pos, 4);
+        var chunkSize = view.getUint32(pos + 4, true);
+        pos += 8;
+
+        if (chunkId === 'fmt ') {
+            format = view.getUint16(pos, true);
+            numChans = view.getUint16(pos + 2, true);
+            sampleRate = view.getUint32(pos + 4, true);
+            bitDepth = view.getUint16(pos + 14, true);
+
+            // For the extensible format, the actual format is in the subformat
+            if (format === 0xFFFE)
+                format = view.getUint16(pos + 24, true);
+        }
+
+        else if (chunkId === 'data') {
+            break;
+        }
+
+        // Chunks are padded to an even size
+        pos += chunkSize + (chunkSize % 2);
+    }
+
+    assert(
+        format !== undefined,
+        'WAV format chunk not found'
+    );
+
+    assert(
+        chunkId === 'data',
+        'WAV data chunk not found'
+    );
+
+    assert(
+        (format === 1 && (bitDepth === 8 || bitDepth === 16 ||
+                          bitDepth === 24 || bitDepth === 32)) ||
+        (format === 3 && bitDepth === 32),
+        'unsupported WAV format: ' + format + ', ' + bitDepth + ' bits'
+    );
+
+    var bytesPerSample = bitDepth / 8;
+    var dataSize = Math.min(chunkSize, view.byteLength - pos);
+    var numSamples = Math.floor(dataSize / (numChans * bytesPerSample));
+
+    var chanBufs = new Array(numChans);
+    for (var chnIdx = 0; chnIdx < numChans; ++chnIdx)
+        chanBufs[chnIdx] = new Float64Array(numSamples);
+
+    // Read the interleaved sample values
+    for (var i = 0; i < numSamples; ++i) {
+        for (var chnIdx = 0; chnIdx < numChans; ++chnIdx) {
+            var s;
+
+            if (format === 3)
+                s = view.getFloat32(pos, true);
+            else if (bitDepth === 8)
+                s = (view.getUint8(pos) - 128) / 128;
+            else if (bitDepth === 16)
+                s = view.getInt16(pos, true) / 32768;
+            else if (bitDepth === 24)
+                s = ((view.getInt8(pos + 2) << 16) |
+                     (view.getUint8(pos + 1) << 8) |
+                     view.getUint8(pos)) / 8388608;
+            else
+                s = view.getInt32(pos, true) / 2147483648;
+
+            chanBufs[chnIdx][i] = s;
+
+            pos += bytesPerSample;
+        }
+    }
+
+    return {
+        sampleRate: sampleRate,
+        chanBufs: chanBufs
+    };
+}
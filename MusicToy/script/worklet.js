@@ -0,0 +1,214 @@
+//============================================================================
+// Audio worklet synthesis engine
+//============================================================================
+
+// This file is not loaded through a script tag. It is concatenated after the
+// engine scripts (see WORKLET_SCRIPTS in main.js) and the result is loaded
+// into the audio worklet global scope, so that synthesis runs on the audio
+// rendering thread instead of the main thread.
+
+/**
+ Interval between playback position updates sent to the page, in seconds
+ */
+var WORKLET_POS_INTERV = 1 / 30;
+
+/**
+ @class Audio worklet processor running the synthesis network and piece.
+ The Web Audio API requires processors to be declared with class syntax.
+
+ Messages received from the page:
+ - play: start playback from the beginning of the piece
+ - stop: stop playback, silencing all instruments
+ - tracks: replace the events of each track
+ - edit: edit the synthesis network (see SynthNet.applyEdit)
+ - sample: audio data for a sample requested by this processor
+ - profile: enable or disable profiling of the synthesis network
+
+ Messages sent to the page:
+ - loadSample: request the audio data for a sample URL
+ - playPos: current playback position, for drawing, along with the
+   profiling statistics when enabled
+ */
+class MusicToyProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super(options);
+
+        var port = this.port;
+
+        /**
+         Sample load callbacks waiting on the page, indexed by URL
+         */
+        var pendingSamples = {};
+
+        // Samples are decoded on the page and sent back to us
+        Sample.loadData = function (url, callback) {
+            if (pendingSamples[url] === undefined) {
+                pendingSamples[url] = [];
+                port.postMessage({ type: 'loadSample', url: url });
+            }
+
+            pendingSamples[url].push(callback);
+        };
+
+        /**
+         Synthesis network, loaded from the patch used on the page.
+         sampleRate is a global of the worklet scope.
+         */
+        this.synthNet = SynthNet.fromJSON(
+            options.processorOptions.patch,
+            sampleRate
+        );
+
+        /**
+         Piece being played
+         */
+        this.piece = new Piece(this.synthNet);
+
+        // Create the tracks
+        initPiece(this.piece);
+
+        /**
+         Playing flag
+         */
+        this.playing = false;
+
+        /**
+         Read position in the current synthesis block
+         */
+        this.bufPos = SYNTH_BUF_SIZE;
+
+        /**
+         Samples produced since the last playback position update
+         */
+        this.posCount = 0;
+
+        var that = this;
+        port.onmessage = function (msgEvt) {
+            var msg = msgEvt.data;
+
+            switch (msg.type) {
+                case 'play':
+                    that.piece.stop();
+                    that.piece.start();
+                    that.bufPos = SYNTH_BUF_SIZE;
+                    that.playing = true;
+                    break;
+
+                case 'stop':
+                    that.piece.stop();
+                    that.playing = false;
+                    break;
+
+                case 'tracks':
+                    that.setTracks(msg.tracks);
+                    break;
+
+                case 'edit':
+                    that.synthNet.applyEdit(msg.edit);
+                    break;
+
+                case 'profile':
+                    that.synthNet.setProfiling(msg.enabled);
+                    break;
+
+                case 'sample':
+                    var callbacks = pendingSamples[msg.url];
+                    for (var i = 0; i < callbacks.length; ++i)
+                        callbacks[i](msg.buffer);
+                    delete pendingSamples[msg.url];
+                    break;
+
+                default:
+                    error('invalid worklet message: ' + msg.type);
+            }
+        };
+    }
+
+    /**
+     Replace the events of each track from their JSON representation
+     */
+    setTracks(trackEvts) {
+        var tracks = this.piece.tracks;
+
+        assert(
+            trackEvts.length === tracks.length,
+            'mismatch in the number of tracks'
+        );
+
+        for (var i = 0; i < tracks.length; ++i) {
+            tracks[i].clear();
+
+            for (var j = 0; j < trackEvts[i].length; ++j)
+                tracks[i].addEvent(SynthEvt.fromJSON(trackEvts[i][j]));
+        }
+    }
+
+    /**
+     Produce one render quantum of audio
+     */
+    process(inputs, outputs) {
+        // If we are not playing, output silence
+        if (!this.playing)
+            return true;
+
+        var output = outputs[0];
+        var numSamples = output[0].length;
+        var outNode = this.synthNet.outNode;
+        var profile = this.synthNet.profile;
+
+        assert(
+            output.length === outNode.numChans,
+            'mismatch in the number of output channels'
+        );
+
+        for (var smpIdx = 0; smpIdx < numSamples;) {
+            // If the current block is used up, generate a new one
+            if (this.bufPos === SYNTH_BUF_SIZE) {
+                var startTime = getTimeMs();
+
+                this.piece.genBlock();
+                this.bufPos = 0;
+
+                // Count underruns when profiling. A block covers several
+                // render quanta, so it is compared against its own duration.
+                if (profile !== undefined) {
+                    var compTime = getTimeMs() - startTime;
+                    profile.recordCallback(compTime, 1000 * SYNTH_BUF_SIZE / sampleRate);
+                }
+            }
+
+            var numCopy = Math.min(
+                numSamples - smpIdx,
+                SYNTH_BUF_SIZE - this.bufPos
+            );
+
+            // Copy the values for each channel
+            for (var chnIdx = 0; chnIdx < output.length; ++chnIdx) {
+                var srcBuf = outNode.getBuffer(chnIdx);
+                var dstBuf = output[chnIdx];
+
+                for (var i = 0; i < numCopy; ++i)
+                    dstBuf[smpIdx + i] = srcBuf[this.bufPos + i];
+            }
+
+            smpIdx += numCopy;
+            this.bufPos += numCopy;
+        }
+
+        // Periodically send the playback position to the page
+        this.posCount += numSamples;
+        if (this.posCount >= WORKLET_POS_INTERV * sampleRate) {
+            this.port.postMessage({
+                type: 'playPos',
+                playTime: this.piece.playTime,
+                profile: profile
+            });
+
+            this.posCount = 0;
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('musictoy-processor', MusicToyProcessor);